@@ -1,7 +1,7 @@
 // Required dependencies - install these first:
 // npm install whatsapp-web.js qrcode-terminal express body-parser cors multer exceljs fs-extra
 
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const express = require('express');
 const bodyParser = require('body-parser');
@@ -11,6 +11,169 @@ const path = require('path');
 const multer = require('multer');
 const ExcelJS = require('exceljs');
 const { engine } = require('express-handlebars');
+const {
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    summarizeCampaign,
+    recordReply,
+    recordAck,
+    runCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    createFollowUpCampaign,
+    recoverCampaigns,
+    startDueCampaigns
+} = require('./lib/campaigns');
+const { createSendWindow } = require('./lib/schedule');
+const { normalizePhoneNumber, getDefaultCountryCode } = require('./lib/phone');
+const {
+    createVerification,
+    getVerification,
+    summarizeVerification,
+    getRegisteredRecipients,
+    runVerification
+} = require('./lib/verification');
+const {
+    listOptOuts,
+    isOptedOut,
+    addOptOut,
+    removeOptOut,
+    isOptOutMessage,
+    importOptOuts,
+    exportOptOuts
+} = require('./lib/optOut');
+const { extractPlaceholders, findUnknownPlaceholders, findMissingValues, renderMessage } = require('./lib/template');
+const {
+    prepareParts,
+    partsFromMessage,
+    templateText,
+    renderParts,
+    spinParts,
+    toMessageContent,
+    describeParts
+} = require('./lib/messageParts');
+const {
+    createTemplate,
+    getTemplate,
+    getTemplateVersion,
+    summarizeTemplate,
+    listTemplates,
+    updateTemplate,
+    deleteTemplate
+} = require('./lib/messageTemplates');
+const {
+    recordCampaignContact,
+    getLastContact,
+    getConversation,
+    addIncomingMessage,
+    addOutgoingMessage,
+    markConversationRead,
+    listConversations
+} = require('./lib/inbox');
+const {
+    trackMessage,
+    findTrackedMessage,
+    ackStatus,
+    exportDeliveryReport
+} = require('./lib/acks');
+const {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_COLUMNS,
+    parseExportOptions,
+    exportFileName,
+    writeContactsExport,
+    writeGroupsWorkbook
+} = require('./lib/contactExport');
+const {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    claimAutoReply,
+    finishAutoReply,
+    listReplyLog
+} = require('./lib/autoReplies');
+const {
+    AUTH_DIR,
+    loadSessions,
+    listSessions,
+    getSession,
+    getDefaultSession,
+    addSession,
+    removeSession,
+    recordSend,
+    summarizeSession
+} = require('./lib/sessions');
+const { createRotation } = require('./lib/rotation');
+const { PRESETS: PACING_PRESETS, createPacing, describePacing } = require('./lib/pacing');
+const { createRetryPolicy } = require('./lib/retry');
+const { hasSpintax, spin, createVariation, pickBody } = require('./lib/spintax');
+const {
+    ROLES,
+    hasRole,
+    summarizeUser,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    authenticateUser,
+    createLogin,
+    endLogin,
+    createApiKey,
+    revokeApiKey,
+    ensureAdminUser
+} = require('./lib/users');
+const { listAuditLog } = require('./lib/audit');
+const {
+    validateIdempotencyKey,
+    fingerprintRequest,
+    findByIdempotencyKey,
+    createDirectMessage,
+    getDirectMessage,
+    recordDirectResult,
+    recordDirectAck,
+    summarizeDirectMessage
+} = require('./lib/directMessages');
+const { emitEvent, openEventStream } = require('./lib/liveEvents');
+const { qrDataUrl } = require('./lib/qrImage');
+const {
+    EVENTS: WEBHOOK_EVENTS,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    sendTestEvent,
+    retryDelivery,
+    listDeliveries,
+    startWebhooks
+} = require('./lib/webhooks');
+const {
+    corsOptions,
+    authenticate,
+    authorize,
+    requireLogin,
+    auditTrail,
+    getLoginToken,
+    setSessionCookie,
+    clearSessionCookie
+} = require('./lib/auth');
+const {
+    createAudience,
+    getAudience,
+    summarizeAudience,
+    listAudiences,
+    updateAudience,
+    addContacts,
+    removeContacts,
+    deleteAudience,
+    combineAudiences
+} = require('./lib/audiences');
 
 // Initialize Express app
 const app = express();
@@ -30,28 +193,29 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage: storage });
 
-// Middleware
-app.use(cors());
+// Middleware. CORS only allows the origins listed in CORS_ORIGINS; every API call
+// needs a login (see lib/auth.js for the role each route needs) and state-changing
+// calls are written to the audit log.
+app.use(cors(corsOptions()));
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
-app.use('/uploads', express.static(uploadDir));
+app.use(authenticate);
+app.use(auditTrail);
+app.use(authorize);
+app.use('/uploads', requireLogin('operator'), express.static(uploadDir));
 app.engine('handlebars', engine());
 app.set('view engine', 'handlebars');
 app.set('views', './views');
 
 
-// Track client ready state
-let isClientReady = false;
-
-// Store QR code for frontend display
-let lastQrCode = '';
-
-// Function to initialize WhatsApp client with error handling
-function initializeWhatsAppClient() {
+// Function to initialize the WhatsApp client of a session with error handling.
+// Ready state and the last QR code are kept on the session.
+function initializeWhatsAppClient(session) {
     try {
         const client = new Client({
             authStrategy: new LocalAuth({
-                clientId: 'session-' + Date.now() // Use a timestamp to create a unique session
+                clientId: session.id, // Stable per session, so a restart reuses the saved login
+                dataPath: AUTH_DIR
             }),
             puppeteer: {
                 browserWSEndpoint: process.env.PUPPETEER_WS_ENDPOINT
@@ -60,37 +224,132 @@ function initializeWhatsAppClient() {
         
         // When QR code is received
         client.on('qr', (qr) => {
-            console.log('QR RECEIVED. Scan this QR code with your WhatsApp app:');
+            console.log(`[${session.name}] QR RECEIVED. Scan this QR code with your WhatsApp app:`);
             qrcode.generate(qr, { small: true });
-            lastQrCode = qr; // Store the QR code for the endpoint
+            session.lastQrCode = qr; // Store the QR code for the endpoint
+            session.status = 'qr';
+            emitEvent('qr', { sessionId: session.id, qrCode: qr, qrImage: qrDataUrl(qr) });
         });
         
         // When client is ready
         client.on('ready', () => {
-            console.log('WhatsApp client is ready!');
-            isClientReady = true;
+            console.log(`[${session.name}] WhatsApp client is ready!`);
+            session.isReady = true;
+            session.status = 'ready';
+            session.lastQrCode = '';
+            session.info = client.info ? {
+                phoneNumber: client.info.wid ? client.info.wid.user : null,
+                pushname: client.info.pushname
+            } : null;
+            emitEvent('ready', { sessionId: session.id, session: summarizeSession(session) });
+
+            // Continue this session's campaigns that were interrupted by a restart or disconnect
+            try {
+                recoverCampaigns(sendCampaignMessage, session.id);
+                startDueCampaigns(sendCampaignMessage);
+            } catch (error) {
+                console.error('Error resuming unfinished campaigns:', error);
+            }
         });
         
         // Handle authentication failures
         client.on('auth_failure', (error) => {
-            console.error('Authentication failed:', error);
-            isClientReady = false;
+            console.error(`[${session.name}] Authentication failed:`, error);
+            session.isReady = false;
+            session.status = 'auth_failure';
+            emitEvent('auth_failure', { sessionId: session.id, error: String(error) });
+        });
+        
+        // Store incoming messages in the inbox, put people who reply STOP / UNSUBSCRIBE on the
+        // do-not-contact list and answer messages that match an auto-reply rule
+        client.on('message', async (msg) => {
+            try {
+                if (msg.from && msg.from.endsWith('@g.us')) {
+                    emitIncomingMessage(session, msg, null);
+                    await autoRespond(session, msg, true);
+                    return;
+                }
+                if (!msg.from || !msg.from.endsWith('@c.us')) return; // Ignore status updates
+
+                if (isOptOutMessage(msg.body)) {
+                    addOptOut(msg.from, { reason: `Replied "${msg.body.trim()}"`, source: 'reply' });
+                    console.log(`${msg.from} opted out by replying "${msg.body.trim()}"`);
+                }
+
+                // Keep the message in the inbox, counted as a reply to the campaign that last messaged the sender
+                const stored = addIncomingMessage({
+                    id: msg.id && msg.id._serialized,
+                    from: msg.from,
+                    name: msg._data && msg._data.notifyName,
+                    body: msg.body,
+                    type: msg.type,
+                    hasMedia: msg.hasMedia,
+                    timestamp: msg.timestamp ? new Date(msg.timestamp * 1000).toISOString() : null,
+                    sessionId: session.id
+                });
+                if (stored && stored.campaignId) {
+                    recordReply(stored.campaignId, msg.from.split('@')[0], stored.timestamp);
+                }
+                if (stored) {
+                    emitIncomingMessage(session, msg, stored);
+                }
+
+                // A message delivered again after a reconnect is not answered twice
+                if (stored && !isOptOutMessage(msg.body)) {
+                    await autoRespond(session, msg, false);
+                }
+            } catch (error) {
+                console.error('Error handling incoming message:', error);
+            }
         });
         
+        // Delivery and read receipts of campaign messages
+        client.on('message_ack', (msg, ack) => {
+            try {
+                const status = ackStatus(ack);
+                const tracked = status && msg.id ? findTrackedMessage(msg.id._serialized) : null;
+                if (tracked && tracked.campaignId) {
+                    recordAck(tracked.campaignId, tracked.phoneNumber, status);
+                }
+                if (tracked && tracked.directMessageId) {
+                    recordDirectAck(tracked.directMessageId, status);
+                }
+                if (status && msg.id) {
+                    emitEvent('message_ack', {
+                        sessionId: session.id,
+                        messageId: msg.id._serialized,
+                        to: msg.to,
+                        ack: status,
+                        campaignId: tracked ? tracked.campaignId : null,
+                        directMessageId: tracked ? tracked.directMessageId || null : null,
+                        phoneNumber: tracked ? tracked.phoneNumber : String(msg.to || '').split('@')[0]
+                    });
+                }
+            } catch (error) {
+                console.error('Error handling message receipt:', error);
+            }
+        });
+
         // Handle disconnections
         client.on('disconnected', (reason) => {
-            console.log('Client was disconnected:', reason);
-            isClientReady = false;
+            console.log(`[${session.name}] Client was disconnected:`, reason);
+            session.isReady = false;
+
+            // The session is being removed on purpose, do not bring it back
+            if (session.status === 'removing') return;
+            session.status = 'disconnected';
+            emitEvent('disconnected', { sessionId: session.id, reason: String(reason) });
+
             // Attempt to reinitialize the client
             client.initialize().catch(err => {
-                console.error('Failed to reinitialize after disconnect:', err);
+                console.error(`[${session.name}] Failed to reinitialize after disconnect:`, err);
                 console.log('You may need to restart the application.');
             });
         });
         
         // Initialize the client
         client.initialize().catch(err => {
-            console.error('Error during initialization:', err);
+            console.error(`[${session.name}] Error during initialization:`, err);
             if (err.message.includes('EBUSY') || err.message.includes('locked')) {
                 console.log('\n==================================================');
                 console.log('SESSION FILES ARE LOCKED!');
@@ -110,34 +369,102 @@ function initializeWhatsAppClient() {
     }
 }
 
-// Initialize the WhatsApp client
-const client = initializeWhatsAppClient();
+// Initialize a WhatsApp client for every stored session
+loadSessions().forEach(session => {
+    session.client = initializeWhatsAppClient(session);
+});
+
+// Find the session a request is for: sessionId in the query or body, otherwise the default session
+function getRequestSession(req) {
+    const sessionId = req.query.sessionId || (req.body && req.body.sessionId);
+    return sessionId ? getSession(sessionId) : getDefaultSession();
+}
+
+// IDs given as an array (repeated form fields) or a comma separated list, without duplicates
+function parseIdList(value) {
+    const ids = (Array.isArray(value) ? value : String(value).split(','))
+        .map(id => String(id).trim())
+        .filter(id => id);
+    return [...new Set(ids)];
+}
+
+// Accounts a campaign rotates over: an array, a comma separated list or 'all'
+// for every connected account. Returns null when none were given.
+function parseSessionIds(value) {
+    if (!value) {
+        return null;
+    }
+    if (value === 'all') {
+        return listSessions().filter(session => session.isReady).map(session => session.id);
+    }
+    return parseIdList(value);
+}
+
+// Reply with an error and return null unless the request's session is ready
+function requireReadySession(req, res) {
+    const session = getRequestSession(req);
+
+    if (!session) {
+        res.status(404).json({
+            success: false,
+            error: 'WhatsApp session not found'
+        });
+        return null;
+    }
+
+    if (!session.isReady) {
+        res.status(503).json({
+            success: false,
+            error: `WhatsApp client is not ready for session "${session.name}"`
+        });
+        return null;
+    }
+
+    return session;
+}
+
+// Helper function to send message to a single recipient from the given client.
+// message is either text (with an optional media file) or a list of parts sent in order.
+async function sendMessage(client, phoneNumber, message, mediaPath = null) {
+    // Group IDs (ending in @g.us) post into the group itself
+    const isGroup = phoneNumber?.endsWith('@g.us');
+
+    // Never message anyone on the do-not-contact list
+    if (!isGroup && isOptedOut(phoneNumber)) {
+        console.log(`Skipping ${phoneNumber}, the number is on the do-not-contact list`);
+        return { success: false, phoneNumber, status: 'skipped', error: 'Number is on the do-not-contact list' };
+    }
 
-// Helper function to send message to a single recipient
-async function sendMessage(phoneNumber, message, mediaPath = null) {
     // Format the phone number
-    const formattedNumber = phoneNumber?.includes('@c.us') 
+    const formattedNumber = isGroup || phoneNumber?.includes('@c.us') 
         ? phoneNumber 
         : `${phoneNumber}@c.us`;
     
     try {
         // Check if number exists on WhatsApp
-        const isRegistered = await client.isRegisteredUser(formattedNumber);
+        const isRegistered = isGroup || await client.isRegisteredUser(formattedNumber);
         
         if (isRegistered) {
             let sentMessage;
+            const parts = Array.isArray(message) ? message : partsFromMessage(message, mediaPath);
             
-            if (mediaPath) {
-                const media = MessageMedia.fromFilePath(mediaPath);
-                sentMessage = await client.sendMessage(formattedNumber, media, {
-                    caption: message
-                });
-            } else {
-                sentMessage = await client.sendMessage(formattedNumber, message);
+            for (const [index, part] of parts.entries()) {
+                const { content, options } = toMessageContent(part);
+                try {
+                    sentMessage = await client.sendMessage(formattedNumber, content, options);
+                } catch (error) {
+                    // The recipient already has the earlier parts, say so instead of hiding it
+                    if (index > 0) {
+                        error.message = `Sent ${index} of ${parts.length} parts, then failed: ${error.message}`;
+                    }
+                    throw error;
+                }
             }
             
             console.log(`Message sent successfully to ${phoneNumber}`);
-            return { success: true, phoneNumber, status: 'sent' };
+            // Receipts of the last part are tracked, WhatsApp delivers and reads the parts in order
+            const messageId = sentMessage && sentMessage.id ? sentMessage.id._serialized : null;
+            return { success: true, phoneNumber, status: 'sent', messageId };
         } else {
             console.log(`The number ${phoneNumber} is not registered on WhatsApp`);
             return { success: false, phoneNumber, status: 'not_registered' };
@@ -148,8 +475,115 @@ async function sendMessage(phoneNumber, message, mediaPath = null) {
     }
 }
 
+// Send function used by the campaign loop for each recipient. Campaigns from
+// before sessions existed send from the default session.
+async function sendCampaignMessage(recipient, campaign, sessionId = campaign.sessionId) {
+    const session = getSession(sessionId || 'default');
+    if (!session || !session.isReady) {
+        return { success: false, phoneNumber: recipient.phoneNumber, status: 'session_not_ready' };
+    }
+
+    // Every recipient gets its own wording: one of the alternative bodies with a spin of
+    // its {a|b} options, recorded on the recipient as the variant it was sent
+    let message;
+    if (campaign.parts) {
+        const parts = spinParts(campaign.parts);
+        message = renderParts(parts, recipient.variables);
+        if (hasSpintax(campaign.message)) {
+            recipient.variant = { body: 0, text: templateText(parts) };
+        }
+    } else {
+        const body = pickBody(campaign.message, campaign.variation);
+        const text = spin(body.text);
+        message = renderMessage(text, recipient.variables);
+        if (campaign.variation || hasSpintax(body.text)) {
+            recipient.variant = { body: body.index, text: text };
+        }
+    }
+    const result = await sendMessage(session.client, recipient.phoneNumber, message, campaign.mediaPath);
+
+    // Counts towards the account's daily cap, and links replies and receipts to this campaign
+    if (result.status === 'sent') {
+        recordSend(session.id);
+        recordCampaignContact(recipient.phoneNumber, { campaignId: campaign.id, sessionId: session.id });
+        if (result.messageId) {
+            trackMessage(result.messageId, { campaignId: campaign.id, phoneNumber: recipient.phoneNumber });
+        }
+    }
+    return result;
+}
+
+// Report an incoming message to live listeners. stored is the inbox entry of a
+// direct message, with the campaign it replies to; group messages are not stored.
+function emitIncomingMessage(session, msg, stored) {
+    emitEvent('message_received', {
+        sessionId: session.id,
+        messageId: msg.id ? msg.id._serialized : null,
+        from: msg.from,
+        author: msg.author || null,
+        name: (msg._data && msg._data.notifyName) || null,
+        isGroup: msg.from.endsWith('@g.us'),
+        body: msg.body || '',
+        type: msg.type,
+        hasMedia: !!msg.hasMedia,
+        timestamp: msg.timestamp ? new Date(msg.timestamp * 1000).toISOString() : new Date().toISOString(),
+        campaignId: stored ? stored.campaignId : null
+    });
+}
+
+// Send a message requested through POST /api/messages and store its outcome.
+// Receipts are tracked like those of campaign messages.
+async function sendDirectMessage(session, record, message) {
+    const result = await sendMessage(session.client, record.phoneNumber, message);
+
+    if (result.status === 'sent') {
+        recordSend(session.id);
+        if (result.messageId) {
+            trackMessage(result.messageId, { directMessageId: record.id, phoneNumber: record.phoneNumber });
+        }
+    }
+
+    const updated = recordDirectResult(record.id, result);
+    emitEvent('recipient_result', {
+        campaignId: null,
+        directMessageId: record.id,
+        phoneNumber: record.phoneNumber,
+        status: result.status,
+        error: result.error || null,
+        sessionId: session.id,
+        messageId: result.messageId || null,
+        result: result
+    });
+    return updated;
+}
+
+// Answer an incoming message with the first auto-reply rule it matches, if any.
+// The response can use {{Name}}, the sender's WhatsApp name.
+async function autoRespond(session, msg, isGroup) {
+    const contact = isGroup ? (msg.author || '') : msg.from;
+    const claimed = claimAutoReply({
+        body: msg.body,
+        chatId: msg.from,
+        contact: contact,
+        isGroup: isGroup,
+        isCampaignRecipient: !isGroup && !!getLastContact(msg.from),
+        sessionId: session.id
+    });
+    if (!claimed) return;
+
+    const { rule, entry } = claimed;
+    const response = renderMessage(rule.response.text, { Name: (msg._data && msg._data.notifyName) || '' });
+    const result = await sendMessage(session.client, msg.from, response, rule.response.mediaPath);
+
+    finishAutoReply(entry, { response: response, status: result.status, error: result.error || null });
+    if (result.success && !isGroup) {
+        addOutgoingMessage(msg.from, { body: response, sessionId: session.id, source: 'auto_reply' });
+    }
+    console.log(`Auto-reply "${rule.name}" to ${contact || msg.from}: ${result.status}`);
+}
+
 // Extract contacts from groups
-async function extractGroupContacts(groupId) {
+async function extractGroupContacts(client, groupId) {
     try {
         const chat = await client.getChatById(groupId);
         
@@ -238,7 +672,10 @@ async function extractGroupContacts(groupId) {
                     id: participantId,
                     number: contact.number || participantId.split('@')[0],
                     name: contact.name || contact.pushname || 'Unknown',
-                    isMyContact: contact.isMyContact || false
+                    isMyContact: contact.isMyContact || false,
+                    isBusiness: contact.isBusiness || false,
+                    isAdmin: participant.isAdmin || false,
+                    isSuperAdmin: participant.isSuperAdmin || false
                 });
             } catch (err) {
                 console.error(`Error getting contact info for participant:`, err);
@@ -248,7 +685,10 @@ async function extractGroupContacts(groupId) {
                         id: participant.id?._serialized || participant.id || participant,
                         number: (participant.id?._serialized || participant.id || participant).split('@')[0],
                         name: 'Unknown',
-                        isMyContact: false
+                        isMyContact: false,
+                        isBusiness: false,
+                        isAdmin: participant.isAdmin || false,
+                        isSuperAdmin: participant.isSuperAdmin || false
                     });
                 } catch (innerErr) {
                     console.error('Could not add basic participant info:', innerErr);
@@ -268,8 +708,58 @@ async function extractGroupContacts(groupId) {
     }
 }
 
+// Recipients from WhatsApp groups. In 'group' mode a single message is posted into
+// each group, in 'members' mode every participant gets the message individually.
+// Name and Group are available as placeholders. Groups that cannot be read are rejected.
+async function collectGroupRecipients(client, groupIds, mode) {
+    const recipients = [];
+    const rejected = [];
+    const ownNumber = client.info && client.info.wid ? client.info.wid.user : null;
+
+    for (const groupId of groupIds) {
+        if (!groupId.endsWith('@g.us')) {
+            rejected.push({ source: 'groups', input: groupId, reason: 'invalid_group', message: 'Group IDs end with @g.us' });
+            continue;
+        }
+
+        if (mode === 'group') {
+            try {
+                const chat = await client.getChatById(groupId);
+                recipients.push({ phoneNumber: groupId, variables: { Name: chat.name, Group: chat.name } });
+            } catch (error) {
+                rejected.push({ source: 'groups', input: groupId, reason: 'group_not_found', message: error.message });
+            }
+            continue;
+        }
+
+        const result = await extractGroupContacts(client, groupId);
+        if (!result.success) {
+            rejected.push({ source: 'groups', input: groupId, reason: 'group_not_found', message: result.error });
+            continue;
+        }
+
+        result.contacts.forEach(contact => {
+            // Members with a hidden number cannot be messaged directly
+            if (!String(contact.id).endsWith('@c.us')) {
+                rejected.push({ source: 'groups', input: contact.id, reason: 'hidden_number', message: `Member of ${result.groupName} without a visible number` });
+                return;
+            }
+
+            const phoneNumber = contact.id.split('@')[0];
+            if (phoneNumber === ownNumber) return;
+
+            recipients.push({
+                phoneNumber: phoneNumber,
+                variables: { Name: contact.name === 'Unknown' ? '' : contact.name, Group: result.groupName }
+            });
+        });
+    }
+
+    return { recipients, rejected };
+}
+
 // Extract all saved contacts
-async function extractAllContacts() {
+async function extractAllContacts(client) {
     try {
         const contacts = await client.getContacts();
         
@@ -296,7 +786,7 @@ async function extractAllContacts() {
 }
 
 // Extract all groups
-async function extractAllGroups() {
+async function extractAllGroups(client) {
     try {
         const chats = await client.getChats();
         
@@ -320,37 +810,80 @@ async function extractAllGroups() {
     }
 }
 
-// Generate Excel file from contacts
-async function generateExcelFile(contacts, filename) {
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Contacts');
-    
-    // Add columns
-    worksheet.columns = [
-        { header: 'Name', key: 'name', width: 30 },
-        { header: 'Number', key: 'number', width: 20 },
-        { header: 'Is Saved Contact', key: 'isMyContact', width: 15 },
-        { header: 'Is Business', key: 'isBusiness', width: 15 },
-        { header: 'WhatsApp ID', key: 'id', width: 40 }
-    ];
-    
-    // Add rows
-    contacts.forEach(contact => {
-        worksheet.addRow(contact);
+// Names of the groups each participant is in, keyed by WhatsApp ID
+async function collectGroupMemberships(client) {
+    const memberships = new Map();
+    const chats = await client.getChats();
+
+    chats.filter(chat => chat.isGroup).forEach(chat => {
+        const participants = (chat.groupMetadata && chat.groupMetadata.participants) || [];
+        participants.forEach(participant => {
+            const id = participant.id && (participant.id._serialized || participant.id);
+            if (!id) return;
+            if (!memberships.has(id)) {
+                memberships.set(id, []);
+            }
+            memberships.get(id).push(chat.name);
+        });
     });
-    
-    // Create output directory if it doesn't exist
-    const outputDir = path.join(__dirname, 'exports');
-    fs.ensureDirSync(outputDir);
-    
-    const filePath = path.join(outputDir, filename);
-    await workbook.xlsx.writeFile(filePath);
-    
-    return filePath;
+
+    return memberships;
+}
+
+// Look up the export columns that are not part of the contact lists: profile about
+// text and group membership. cache is shared between calls of one export so each
+// contact's about text and the memberships are fetched only once.
+async function addExportDetails(client, contacts, columns, cache = {}) {
+    if (columns.includes('about')) {
+        cache.about = cache.about || new Map();
+        for (const contact of contacts) {
+            if (!cache.about.has(contact.id)) {
+                let about = '';
+                try {
+                    const details = await client.getContactById(contact.id);
+                    about = (await details.getAbout()) || '';
+                } catch (error) {
+                    console.error(`Error getting about text of ${contact.id}:`, error.message);
+                }
+                cache.about.set(contact.id, about);
+            }
+            contact.about = cache.about.get(contact.id);
+        }
+    }
+
+    if (columns.includes('groups')) {
+        cache.memberships = cache.memberships || await collectGroupMemberships(client);
+        contacts.forEach(contact => {
+            contact.groups = cache.memberships.get(contact.id) || [];
+        });
+    }
+}
+
+// Reply to an export request that asks for an unknown format or column
+function parseExportRequest(req, res) {
+    try {
+        return parseExportOptions({ format: req.query.format, columns: req.query.columns });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+        return null;
+    }
 }
 
+// Convert an Excel cell to the text used in messages
+function getCellText(cell) {
+    if (cell.value instanceof Date) {
+        return cell.value.toISOString().slice(0, 10);
+    }
+    return cell.text ? String(cell.text).trim() : '';
+}
 
-async function extractNumbersFromExcel(filePath) {
+// Read recipients from an Excel file. Phone numbers are in the first column and
+// the header row names the columns, which become the message placeholders.
+// Rows whose number cannot be normalized are returned in rejected with the reason.
+async function extractRecipientsFromExcel(filePath, options = {}) {
     try {
         // Check if file exists
         if (!fs.existsSync(filePath)) {
@@ -367,137 +900,263 @@ async function extractNumbersFromExcel(filePath) {
             throw new Error('Excel file is empty or has no sheets');
         }
 
-        // Extract phone numbers from the first column (Assume phone numbers are in column A)
-        const phoneNumbers = [];
+        // Column names from the header row, unnamed columns get a generic name
+        const columns = [];
+        const headerRow = worksheet.getRow(1);
+        for (let col = 1; col <= worksheet.columnCount; col++) {
+            columns.push(getCellText(headerRow.getCell(col)) || `Column${col}`);
+        }
+
+        const recipients = [];
+        const rejected = [];
         worksheet.eachRow((row, rowNumber) => {
-            if (rowNumber === 1) return; // Skip header row (optional)
+            if (rowNumber === 1) return; // Skip header row
 
-            const cellValue = row.getCell(1).value; // Get first column (A)
-            if (typeof cellValue === 'string' || typeof cellValue === 'number') {
-                const number = String(cellValue).trim();
-                if (validatePhoneNumber(number)) {
-                    phoneNumbers.push(number);
-                }
+            // Phone number in first column (A). Numeric cells are used as is, since
+            // their displayed text may be formatted (e.g. 9.19877E+11).
+            const cell = row.getCell(1);
+            const result = normalizePhoneNumber(typeof cell.value === 'number' ? cell.value : getCellText(cell), options);
+
+            if (!result.valid) {
+                rejected.push({ row: rowNumber, input: result.input, reason: result.reason, message: result.message });
+                return;
             }
+
+            const variables = {};
+            columns.forEach((column, index) => {
+                variables[column] = getCellText(row.getCell(index + 1));
+            });
+            recipients.push({ phoneNumber: result.phoneNumber, variables: variables, row: rowNumber });
         });
 
-        return phoneNumbers;
+        return { columns, recipients, rejected };
     } catch (error) {
         console.error('Error extracting numbers from Excel:', error.message);
-        return [];
+        return { columns: [], recipients: [], rejected: [] };
     }
 }
 
-// Helper function to validate phone numbers
-function validatePhoneNumber(number) {
-    return typeof number === 'string' && number.match(/^\+?\d{10,15}$/); // Allows +91 and normal 10-15 digit numbers
-}
-
-// Parse phone numbers from various formats (comma-separated, newline, Excel)
-async function parsePhoneNumbers(req) {
+// Parse phone numbers from various formats (comma-separated, newline, Excel).
+// Returns the normalized numbers and the entries that were rejected.
+async function parsePhoneNumbers(req, options = {}) {
     const { numbers, numbersText } = req.body;
-    let parsedNumbers = [];
+    let phoneNumbers = [];
+    let rejected = [];
+
+    // Normalize raw entries typed by hand or sent as an array
+    const addEntries = (entries, source) => {
+        entries.forEach((entry, index) => {
+            const result = normalizePhoneNumber(entry, options);
+            if (result.valid) {
+                phoneNumbers.push(result.phoneNumber);
+            } else {
+                rejected.push({ source: source, index: index, input: result.input, reason: result.reason, message: result.message });
+            }
+        });
+    };
     
     // Check for uploaded Excel file
     if (req.file && req.file.path && path.extname(req.file.path).toLowerCase() === '.xlsx') {
-        const workbook = new ExcelJS.Workbook();
-        await workbook.xlsx.readFile(req.file.path);
-        const worksheet = workbook.getWorksheet(1);
-        
-        worksheet.eachRow((row, rowNumber) => {
-            if (rowNumber > 1) { // Skip header row
-                // Assuming phone number is in the first column
-                const phoneNumber = row.getCell(1).value;
-                if (phoneNumber && (typeof phoneNumber === 'string' || typeof phoneNumber === 'number')) {
-                    // Clean up number (remove spaces, dashes, etc.)
-                    let cleanNumber;
-                    if (typeof phoneNumber === 'string') {
-                         cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
-                    } else {
-                         cleanNumber = phoneNumber.toString();
-                    }
-                    if (cleanNumber) {
-                        parsedNumbers.push(cleanNumber);
-                    }
-                }
-            }
-        });
+        const excel = await extractRecipientsFromExcel(req.file.path, options);
+        phoneNumbers = excel.recipients.map(recipient => recipient.phoneNumber);
+        rejected = excel.rejected;
     }
     
     // If array of numbers provided directly
     if (Array.isArray(numbers) && numbers.length > 0) {
-        parsedNumbers = parsedNumbers.concat(
-            numbers.map(n => n.trim().replace(/[^0-9]/g, '')).filter(n => n)
-        );
+        addEntries(numbers, 'numbers');
     }
     
     // If comma or newline separated text provided
     if (numbersText) {
         const textNumbers = numbersText
             .split(/[\n,]/) // Split by newline or comma
-            .map(n => n.trim().replace(/[^0-9]/g, ''))
+            .map(n => n.trim())
             .filter(n => n);
         
-        parsedNumbers = parsedNumbers.concat(textNumbers);
+        addEntries(textNumbers, 'numbersText');
     }
     
-    // Remove duplicates
-    return [...new Set(parsedNumbers)];
+    return { phoneNumbers, rejected };
+}
+
+// Collect recipients for a send from a finished verification (registered numbers only),
+// a saved audience, an uploaded Excel file or the text/array input. Only Excel and audience recipients carry variables
+// for personalization. Numbers are normalized with the countryCode field (or
+// DEFAULT_COUNTRY_CODE) for numbers written without one. Returns an error when the
+// recipients cannot be used at all.
+// groupIds with groupMode ('group' or 'members') add WhatsApp groups, read with the
+// given client; group recipients are deduplicated against the others like any number.
+async function collectRecipients(req, client = null) {
+    const options = { defaultCountryCode: req.body.countryCode || getDefaultCountryCode() };
+
+    let result;
+    if (req.body.verificationId) {
+        const verification = getVerification(req.body.verificationId);
+        if (!verification || verification.status !== 'completed') {
+            return {
+                columns: [],
+                recipients: [],
+                rejected: [],
+                error: 'Verification not found or not finished yet'
+            };
+        }
+        result = {
+            columns: verification.columns,
+            recipients: getRegisteredRecipients(verification),
+            rejected: []
+        };
+    } else if (req.body.audienceId) {
+        const audience = getAudience(req.body.audienceId);
+        if (!audience) {
+            return { columns: [], recipients: [], rejected: [], error: 'Audience not found' };
+        }
+        result = {
+            columns: audience.columns,
+            recipients: audience.contacts.map(({ phoneNumber, variables }) => ({ phoneNumber, variables })),
+            rejected: []
+        };
+    } else if (req.files && req.files['excel'] && req.files['excel'][0]) {
+        result = await extractRecipientsFromExcel(req.files['excel'][0].path, options);
+    } else {
+        const { phoneNumbers, rejected } = await parsePhoneNumbers(req, options);
+        result = {
+            columns: [],
+            recipients: phoneNumbers.map(number => ({ phoneNumber: number, variables: {} })),
+            rejected: rejected
+        };
+    }
+
+    if (req.body.groupIds) {
+        const groupMode = req.body.groupMode || 'group';
+        if (groupMode !== 'group' && groupMode !== 'members') {
+            return { columns: [], recipients: [], rejected: [], error: 'groupMode must be "group" or "members"' };
+        }
+        if (!client) {
+            return { columns: [], recipients: [], rejected: [], error: 'A connected WhatsApp account is needed to read the groups' };
+        }
+
+        const groups = await collectGroupRecipients(client, parseIdList(req.body.groupIds), groupMode);
+        result.recipients = result.recipients.concat(groups.recipients);
+        result.rejected = result.rejected.concat(groups.rejected);
+
+        // Group placeholders, unless the sheet already has columns by that name
+        const groupColumns = ['Name', 'Group']
+            .filter(column => !result.columns.some(existing => existing.toLowerCase() === column.toLowerCase()));
+        result.columns = result.columns.concat(groupColumns);
+    }
+
+    // Remove duplicate numbers, keeping the first row for each
+    const seen = new Set();
+    result.recipients = result.recipients.filter(recipient => {
+        if (seen.has(recipient.phoneNumber)) {
+            result.rejected.push({
+                row: recipient.row,
+                input: recipient.phoneNumber,
+                reason: 'duplicate',
+                message: 'The same number appears earlier in the list'
+            });
+            return false;
+        }
+        seen.add(recipient.phoneNumber);
+        return true;
+    });
+
+    return result;
 }
 
 // API Routes
 
-// GET endpoint to check server status
+// GET endpoint to check server status. Reports the requested (or default) session
+// as whatsappStatus and every session under sessions.
 app.get('/api/status', (req, res) => {
+    const session = getRequestSession(req);
+
     res.json({
         serverStatus: 'online',
-        whatsappStatus: isClientReady ? 'ready' : 'not_ready'
+        whatsappStatus: session && session.isReady ? 'ready' : 'not_ready',
+        sessionId: session ? session.id : null,
+        sessions: listSessions().map(summarizeSession)
     });
 });
 
 // GET endpoint to fetch QR code if not authenticated
 app.get('/api/qrcode', (req, res) => {
-    if (!isClientReady && lastQrCode) {
-        res.json({ qrCode: lastQrCode });
-    } else if (isClientReady) {
-        res.json({ status: 'authenticated', message: 'WhatsApp client is already authenticated' });
+    const session = getRequestSession(req);
+
+    if (!session) {
+        res.status(404).json({ success: false, error: 'WhatsApp session not found' });
+    } else if (!session.isReady && session.lastQrCode) {
+        res.json({ sessionId: session.id, qrCode: session.lastQrCode, qrImage: qrDataUrl(session.lastQrCode) });
+    } else if (session.isReady) {
+        res.json({ sessionId: session.id, status: 'authenticated', message: 'WhatsApp client is already authenticated' });
     } else {
-        res.json({ status: 'initializing', message: 'WhatsApp client is initializing, QR code not yet available' });
+        res.json({ sessionId: session.id, status: 'initializing', message: 'WhatsApp client is initializing, QR code not yet available' });
     }
 });
 
-// GET endpoint to get all groups
-app.get('/api/groups', async (req, res) => {
-    if (!isClientReady) {
-        return res.status(503).json({
-            success: false,
-            error: 'WhatsApp client is not ready'
-        });
-    }
-    
+// GET endpoint streaming live events as Server-Sent Events: qr, ready, auth_failure and
+// disconnected of the WhatsApp accounts, campaign_status, campaign_started,
+// campaign_finished and recipient_result of campaigns, message_ack and message_received.
+// QR codes are only sent to admins, as they give access to the account, and
+// messages only to operators.
+app.get('/api/events', (req, res) => {
+    const roles = { qr: 'admin', message_received: 'operator', message_ack: 'operator' };
+    openEventStream(req, res, event => hasRole(req.user.role, roles[event.type] || 'viewer'));
+});
+
+// GET endpoint to list WhatsApp sessions
+app.get('/api/sessions', (req, res) => {
+    res.json({
+        success: true,
+        sessions: listSessions().map(summarizeSession)
+    });
+});
+
+// POST endpoint to add a WhatsApp session, scan its QR code to log in
+app.post('/api/sessions', (req, res) => {
     try {
-        const result = await extractAllGroups();
-        res.json(result);
+        const session = addSession(req.body.name);
+        session.client = initializeWhatsAppClient(session);
+
+        res.json({
+            success: true,
+            session: summarizeSession(session)
+        });
     } catch (error) {
-        res.status(500).json({
+        res.status(400).json({
             success: false,
             error: error.message
         });
     }
 });
 
-// GET endpoint to get contacts from a specific group
-app.get('/api/groups/:groupId/contacts', async (req, res) => {
-    if (!isClientReady) {
-        return res.status(503).json({
+// DELETE endpoint to log out and remove a WhatsApp session
+app.delete('/api/sessions/:id', async (req, res) => {
+    const session = getSession(req.params.id);
+
+    if (!session) {
+        return res.status(404).json({
             success: false,
-            error: 'WhatsApp client is not ready'
+            error: 'WhatsApp session not found'
         });
     }
-    
+
     try {
-        const result = await extractGroupContacts(req.params.groupId);
-        res.json(result);
+        const wasReady = session.isReady;
+        session.status = 'removing';
+        session.isReady = false;
+
+        if (session.client) {
+            if (wasReady) {
+                await session.client.logout().catch(err => console.error(`[${session.name}] Error logging out:`, err));
+            }
+            await session.client.destroy().catch(err => console.error(`[${session.name}] Error closing client:`, err));
+        }
+
+        await removeSession(session.id);
+
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -506,31 +1165,14 @@ app.get('/api/groups/:groupId/contacts', async (req, res) => {
     }
 });
 
-// GET endpoint to export group contacts to Excel
-app.get('/api/groups/:groupId/export', async (req, res) => {
-    if (!isClientReady) {
-        return res.status(503).json({
-            success: false,
-            error: 'WhatsApp client is not ready'
-        });
-    }
+// GET endpoint to get all groups
+app.get('/api/groups', async (req, res) => {
+    const session = requireReadySession(req, res);
+    if (!session) return;
     
     try {
-        const result = await extractGroupContacts(req.params.groupId);
-        
-        if (!result.success) {
-            return res.status(500).json(result);
-        }
-        
-        const filename = `group-${result.groupName.replace(/[^a-z0-9]/gi, '_')}-${Date.now()}.xlsx`;
-        const filePath = await generateExcelFile(result.contacts, filename);
-        
-        res.json({
-            success: true,
-            filename: filename,
-            downloadUrl: `/exports/${filename}`,
-            contactCount: result.contacts.length
-        });
+        const result = await extractAllGroups(session.client);
+        res.json(result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -539,17 +1181,13 @@ app.get('/api/groups/:groupId/export', async (req, res) => {
     }
 });
 
-// GET endpoint to get all saved contacts
-app.get('/api/contacts', async (req, res) => {
-    if (!isClientReady) {
-        return res.status(503).json({
-            success: false,
-            error: 'WhatsApp client is not ready'
-        });
-    }
+// GET endpoint to get contacts from a specific group
+app.get('/api/groups/:groupId/contacts', async (req, res) => {
+    const session = requireReadySession(req, res);
+    if (!session) return;
     
     try {
-        const result = await extractAllContacts();
+        const result = await extractGroupContacts(session.client, req.params.groupId);
         res.json(result);
     } catch (error) {
         res.status(500).json({
@@ -559,29 +1197,157 @@ app.get('/api/contacts', async (req, res) => {
     }
 });
 
-// GET endpoint to export all contacts to Excel
-app.get('/api/contacts/export', async (req, res) => {
-    if (!isClientReady) {
-        return res.status(503).json({
-            success: false,
-            error: 'WhatsApp client is not ready'
-        });
-    }
-    
+// GET endpoint to list the formats and columns contacts can be exported with
+app.get('/api/exports/options', (req, res) => {
+    res.json({
+        success: true,
+        formats: EXPORT_FORMATS,
+        columns: EXPORT_COLUMNS.map(column => ({ key: column.key, header: column.header })),
+        defaultColumns: DEFAULT_COLUMNS
+    });
+});
+
+// GET endpoint to export every group (or the ones in ?groupIds=) into one Excel
+// workbook, one sheet per group. ?columns= picks the columns.
+app.get('/api/groups/export-all', async (req, res) => {
+    const options = parseExportRequest(req, res);
+    if (!options) return;
+
+    const session = requireReadySession(req, res);
+    if (!session) return;
+
     try {
-        const result = await extractAllContacts();
-        
+        const result = await extractAllGroups(session.client);
         if (!result.success) {
             return res.status(500).json(result);
         }
-        
-        const filename = `all-contacts-${Date.now()}.xlsx`;
-        const filePath = await generateExcelFile(result.contacts, filename);
-        
-        res.json({
-            success: true,
-            filename: filename,
-            downloadUrl: `/exports/${filename}`,
+
+        const groupIds = String(req.query.groupIds || '').split(',').map(id => id.trim()).filter(id => id);
+        const selected = groupIds.length > 0
+            ? result.groups.filter(group => groupIds.includes(group.id))
+            : result.groups;
+        if (selected.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No groups to export'
+            });
+        }
+
+        const groups = [];
+        const failedGroups = [];
+        const cache = {};
+        for (const group of selected) {
+            const members = await extractGroupContacts(session.client, group.id);
+            if (!members.success) {
+                failedGroups.push({ id: group.id, name: group.name, error: members.error });
+                continue;
+            }
+            await addExportDetails(session.client, members.contacts, options.columns, cache);
+            groups.push({ name: members.groupName, contacts: members.contacts });
+        }
+
+        if (groups.length === 0) {
+            return res.status(500).json({
+                success: false,
+                error: 'None of the groups could be read',
+                failedGroups: failedGroups
+            });
+        }
+
+        const filename = exportFileName('all-groups', null, 'xlsx');
+        await writeGroupsWorkbook(groups, filename, options.columns);
+
+        res.json({
+            success: true,
+            filename: filename,
+            downloadUrl: `/exports/${encodeURIComponent(filename)}`,
+            groupCount: groups.length,
+            contactCount: groups.reduce((total, group) => total + group.contacts.length, 0),
+            failedGroups: failedGroups
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to export group contacts. ?format= is xlsx (default), csv, json or vcf,
+// ?columns= a comma-separated list of columns.
+app.get('/api/groups/:groupId/export', async (req, res) => {
+    const options = parseExportRequest(req, res);
+    if (!options) return;
+
+    const session = requireReadySession(req, res);
+    if (!session) return;
+    
+    try {
+        const result = await extractGroupContacts(session.client, req.params.groupId);
+        
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        
+        await addExportDetails(session.client, result.contacts, options.columns);
+        const filename = exportFileName('group', result.groupName, options.format);
+        await writeContactsExport(result.contacts, filename, options);
+        
+        res.json({
+            success: true,
+            filename: filename,
+            downloadUrl: `/exports/${encodeURIComponent(filename)}`,
+            format: options.format,
+            contactCount: result.contacts.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get all saved contacts
+app.get('/api/contacts', async (req, res) => {
+    const session = requireReadySession(req, res);
+    if (!session) return;
+    
+    try {
+        const result = await extractAllContacts(session.client);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to export all contacts, with the same ?format= and ?columns= as group exports
+app.get('/api/contacts/export', async (req, res) => {
+    const options = parseExportRequest(req, res);
+    if (!options) return;
+
+    const session = requireReadySession(req, res);
+    if (!session) return;
+    
+    try {
+        const result = await extractAllContacts(session.client);
+        
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        
+        await addExportDetails(session.client, result.contacts, options.columns);
+        const filename = exportFileName('all-contacts', null, options.format);
+        await writeContactsExport(result.contacts, filename, options);
+        
+        res.json({
+            success: true,
+            filename: filename,
+            downloadUrl: `/exports/${encodeURIComponent(filename)}`,
+            format: options.format,
             contactCount: result.contacts.length
         });
     } catch (error) {
@@ -592,89 +1358,1758 @@ app.get('/api/contacts/export', async (req, res) => {
     }
 });
 
+// GET endpoint to list the pacing presets a campaign can use
+app.get('/api/pacing/presets', (req, res) => {
+    res.json({
+        success: true,
+        presets: Object.keys(PACING_PRESETS).map(name => ({
+            name: name,
+            ...PACING_PRESETS[name],
+            description: describePacing(PACING_PRESETS[name])
+        }))
+    });
+});
+
 // POST endpoint to send messages to multiple recipients with media support and delay
-app.post('/api/send', upload.fields([{ name: 'media' }, { name: 'excel' }]), async (req, res) => {
+app.post('/api/send', upload.fields([{ name: 'media' }, { name: 'excel' }, { name: 'attachments' }]), async (req, res) => {
     try {
-        const { message, delaySeconds = 1 } = req.body;
+        const { scheduledAt, windowStart, windowEnd, timeZone } = req.body;
+        let { message } = req.body;
+
+        // A library template supplies the message and default media when none are given.
+        // The campaign records the version, and whether the text was changed before sending.
+        let templateVersion = null;
+        let templateInfo = null;
+        if (req.body.templateId) {
+            const template = getTemplate(req.body.templateId);
+            templateVersion = template ? getTemplateVersion(template, req.body.templateVersion) : null;
+            if (!templateVersion) {
+                return res.status(404).json({ success: false, error: 'Template or template version not found' });
+            }
+
+            if (!message && !req.body.parts) {
+                message = templateVersion.body;
+            }
+            templateInfo = {
+                id: template.id,
+                name: templateVersion.name,
+                version: templateVersion.version,
+                modified: !!req.body.parts || message !== templateVersion.body
+            };
+        }
         
-        if (!message) {
+        if (!message && !req.body.parts) {
             return res.status(400).json({ success: false, error: 'Message is required' });
         }
-        
-        if (!isClientReady) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'WhatsApp client is not ready. Please authenticate first by scanning the QR code.' 
+
+        // Optional start time and daily send window, the pacing preset with any of its
+        // settings overridden (delaySeconds alone still works for older clients), and
+        // how often transient failures are retried, and alternative bodies to vary the message
+        let scheduledDate = null;
+        let sendWindow = null;
+        let pacing = null;
+        let retry = null;
+        let variation = null;
+        try {
+            if (scheduledAt) {
+                scheduledDate = new Date(scheduledAt);
+                if (isNaN(scheduledDate.getTime())) {
+                    throw new Error(`Invalid schedule date "${scheduledAt}"`);
+                }
+                if (scheduledDate.getTime() <= Date.now()) {
+                    throw new Error('The scheduled time must be in the future');
+                }
+            }
+            sendWindow = createSendWindow({ start: windowStart, end: windowEnd, timeZone });
+            pacing = createPacing({
+                preset: req.body.pacingPreset,
+                delaySeconds: req.body.delaySeconds,
+                minDelaySeconds: req.body.minDelaySeconds,
+                maxDelaySeconds: req.body.maxDelaySeconds,
+                batchSize: req.body.batchSize,
+                batchRestSeconds: req.body.batchRestSeconds,
+                hourlyCap: req.body.hourlyCap,
+                dailyCap: req.body.dailyCap
             });
+            retry = createRetryPolicy({ maxRetries: req.body.maxRetries, retryDelaySeconds: req.body.retryDelaySeconds });
+            variation = createVariation({ bodies: req.body.alternativeBodies, mode: req.body.variationMode });
+            if (variation && req.body.parts) {
+                throw new Error('Alternative bodies cannot be combined with message parts, use {a|b} spintax in the parts instead');
+            }
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
         }
         
-        // Handle Excel file upload
-        let numbers = [];
-        if (req.files['excel'] && req.files['excel'][0]) {
-            const excelFilePath = req.files['excel'][0].path;
-            numbers = await extractNumbersFromExcel(excelFilePath); // Function to read numbers from Excel
+        // The WhatsApp account to send from, or several accounts taking turns
+        const sessionIds = parseSessionIds(req.body.sessionIds);
+        if (sessionIds && sessionIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'No connected WhatsApp account to send from' });
+        }
+
+        let session = null;
+        let rotation = null;
+        if (sessionIds && sessionIds.length > 1) {
+            const unknownIds = sessionIds.filter(id => !getSession(id));
+            if (unknownIds.length > 0) {
+                return res.status(404).json({ success: false, error: `WhatsApp session not found: ${unknownIds.join(', ')}` });
+            }
+
+            // Scheduled campaigns only need a client once their time comes
+            if (!scheduledDate && !sessionIds.some(id => getSession(id).isReady)) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'None of the selected WhatsApp accounts is ready. Please authenticate at least one by scanning its QR code.'
+                });
+            }
+
+            rotation = createRotation({ sessionIds });
         } else {
-            numbers = await parsePhoneNumbers(req); // Parse from text input if no Excel file is uploaded
+            session = sessionIds ? getSession(sessionIds[0]) : getRequestSession(req);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'WhatsApp session not found' });
+            }
+
+            // Scheduled campaigns only need the client once their time comes
+            if (!session.isReady && !scheduledDate) {
+                return res.status(503).json({ 
+                    success: false, 
+                    error: 'WhatsApp client is not ready. Please authenticate first by scanning the QR code.' 
+                });
+            }
+        }
+        const usedSessionIds = rotation ? rotation.sessionIds : [session.id];
+
+        // Groups are read through the sending account, or any connected one of a rotation
+        const groupSession = session || rotation.sessionIds.map(getSession).find(candidate => candidate.isReady);
+        
+        // Handle Excel file upload or text input
+        const { columns, recipients, rejected, error: recipientsError } = await collectRecipients(
+            req,
+            groupSession && groupSession.isReady ? groupSession.client : null
+        );
+
+        if (recipientsError) {
+            return res.status(400).json({ success: false, error: recipientsError });
         }
 
-        if (numbers.length === 0) {
+        if (recipients.length === 0) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'No valid phone numbers found. Please provide recipients.' 
+                error: 'No valid phone numbers found. Please provide recipients.',
+                rejectedCount: rejected.length,
+                rejected: rejected
+            });
+        }
+
+        // Skip everyone on the do-not-contact list
+        recipients.forEach(recipient => {
+            if (!recipient.phoneNumber.endsWith('@g.us') && isOptedOut(recipient.phoneNumber)) {
+                recipient.skipReason = 'Number is on the do-not-contact list';
+            }
+        });
+        const optedOutCount = recipients.filter(recipient => recipient.skipReason).length;
+
+        // Structured message: parts sent in order, given as JSON (a string in multipart
+        // forms). Media parts refer to files uploaded as attachments or to a URL.
+        let parts = null;
+        if (req.body.parts) {
+            try {
+                const rawParts = typeof req.body.parts === 'string' ? JSON.parse(req.body.parts) : req.body.parts;
+                parts = await prepareParts(rawParts, (req.files && req.files['attachments']) || [], uploadDir);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: `Invalid message parts: ${error.message}` });
+            }
+            message = templateText(parts);
+        }
+
+        // Every placeholder must match a column of the uploaded sheet, in every body
+        const unknownPlaceholders = findUnknownPlaceholders([message, ...(variation ? variation.bodies : [])].join('\n'), columns);
+        if (unknownPlaceholders.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown placeholders: ${unknownPlaceholders.join(', ')}. Available columns: ${columns.join(', ') || 'none (upload an Excel file with a header row)'}`,
+                unknownPlaceholders: unknownPlaceholders,
+                columns: columns
             });
         }
 
-        // Handle media file
+        // Handle media file, part of the parts instead when those are given
         let mediaPath = null;
-        if (req.files['media'] && req.files['media'][0]) {
+        if (!parts && req.files && req.files['media'] && req.files['media'][0]) {
             mediaPath = req.files['media'][0].path;
+        } else if (!parts && templateVersion && templateVersion.mediaPath) {
+            mediaPath = templateVersion.mediaPath;
+        }
+
+        // Store the campaign before replying so it can be tracked right away
+        const campaign = createCampaign({
+            recipients,
+            message,
+            parts,
+            variation,
+            mediaPath,
+            pacing,
+            retry,
+            scheduledAt: scheduledDate ? scheduledDate.toISOString() : null,
+            sendWindow,
+            sessionId: session ? session.id : null,
+            rotation,
+            audienceId: req.body.audienceId || null,
+            template: templateInfo
+        });
+        const skippedCount = campaign.recipients.filter(recipient => recipient.status === 'skipped').length;
+
+        if (scheduledDate) {
+            return res.json({
+                success: true,
+                message: `Scheduled messages to ${recipients.length - skippedCount} recipients for ${campaign.scheduledAt}.`,
+                campaignId: campaign.id,
+                sessionId: campaign.sessionId,
+                sessionIds: usedSessionIds,
+                status: campaign.status,
+                scheduledAt: campaign.scheduledAt,
+                sendWindow: sendWindow,
+                numbersCount: recipients.length,
+                skippedCount: skippedCount,
+                optedOutCount: optedOutCount,
+                variantCount: variation ? variation.bodies.length + 1 : 1,
+                rejectedCount: rejected.length,
+                rejected: rejected,
+                mediaAttached: !!mediaPath,
+                parts: parts ? describeParts(parts) : null,
+                pacing: pacing,
+                pacingDescription: describePacing(pacing)
+            });
         }
 
         res.json({
             success: true,
-            message: `Started sending messages to ${numbers.length} recipients with random delays between 3 and ${delaySeconds} seconds.`,
-            numbersCount: numbers.length,
+            message: `Started sending messages to ${recipients.length - skippedCount} recipients, pacing: ${describePacing(pacing)}.`,
+            status: campaign.status,
+            sendWindow: sendWindow,
+            campaignId: campaign.id,
+            sessionId: campaign.sessionId,
+            sessionIds: usedSessionIds,
+            numbersCount: recipients.length,
+            skippedCount: skippedCount,
+            optedOutCount: optedOutCount,
+            variantCount: variation ? variation.bodies.length + 1 : 1,
+            rejectedCount: rejected.length,
+            rejected: rejected,
             mediaAttached: !!mediaPath,
-            delaySeconds: delaySeconds
+            parts: parts ? describeParts(parts) : null,
+            pacing: pacing,
+            pacingDescription: describePacing(pacing)
         });
 
         // Sending process
-        const results = [];
-        for (let i = 0; i < numbers.length; i++) {
-            const number = numbers[i];
-            try {
-                if (i > 0 && delaySeconds > 3) {
-                    const randomDelay = Math.floor(Math.random() * (delaySeconds - 3 + 1)) + 3;
-                    await new Promise(resolve => setTimeout(resolve, randomDelay * 1000));
+        runCampaign(campaign, sendCampaignMessage)
+            .catch(error => console.error(`Error running campaign ${campaign.id}:`, error));
+
+    } catch (error) {
+        console.error('Error in send endpoint:', error);
+        res.status(500).json({ success: false, error: 'Server error while sending messages' });
+    }
+});
+
+
+
+// POST endpoint to preview the personalized message for the first few recipients
+// and a few sample renders of the spintax and alternative bodies
+app.post('/api/send/preview', upload.fields([{ name: 'excel' }]), async (req, res) => {
+    try {
+        const { message } = req.body;
+        const limit = Math.min(parseInt(req.body.limit) || 3, 20);
+        const sampleCount = Math.min(parseInt(req.body.samples) || 5, 20);
+
+        if (!message) {
+            return res.status(400).json({ success: false, error: 'Message is required' });
+        }
+
+        let variation;
+        try {
+            variation = createVariation({ bodies: req.body.alternativeBodies, mode: req.body.variationMode });
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        const allBodies = [message, ...(variation ? variation.bodies : [])].join('\n');
+
+        // Render the way a campaign does: pick a body, spin it, fill in the placeholders
+        const renderVariant = variables => {
+            const body = pickBody(message, variation);
+            return { body: body.index, message: renderMessage(spin(body.text), variables) };
+        };
+
+        // Group recipients are read through the selected account
+        const session = getRequestSession(req);
+        const { columns, recipients, rejected, error: recipientsError } = await collectRecipients(
+            req,
+            session && session.isReady ? session.client : null
+        );
+
+        if (recipientsError) {
+            return res.status(400).json({ success: false, error: recipientsError });
+        }
+
+        res.json({
+            success: true,
+            columns: columns,
+            rejectedCount: rejected.length,
+            rejected: rejected,
+            placeholders: extractPlaceholders(allBodies).map(placeholder => placeholder.name),
+            unknownPlaceholders: findUnknownPlaceholders(allBodies, columns),
+            recipientCount: recipients.length,
+            variantCount: variation ? variation.bodies.length + 1 : 1,
+            previews: recipients.slice(0, limit).map(recipient => ({
+                phoneNumber: recipient.phoneNumber,
+                ...renderVariant(recipient.variables),
+                missingValues: findMissingValues(allBodies, recipient.variables)
+            })),
+            samples: variation || hasSpintax(message)
+                ? Array.from({ length: sampleCount }, () => renderVariant(recipients[0] ? recipients[0].variables : {}))
+                : []
+        });
+    } catch (error) {
+        console.error('Error in preview endpoint:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Longest and default time POST /api/messages waits for the outcome before answering
+const MAX_MESSAGE_WAIT_SECONDS = 60;
+const DEFAULT_MESSAGE_WAIT_SECONDS = 20;
+
+// Answer with a message of the messages API: 202 while it is queued, 200 once it has
+// an outcome, success telling whether it was (or still may be) sent
+function replyWithDirectMessage(res, record, idempotentReplay) {
+    res.status(record.status === 'queued' ? 202 : 200).json({
+        success: record.status === 'queued' || record.status === 'sent',
+        idempotentReplay: idempotentReplay,
+        message: summarizeDirectMessage(record)
+    });
+}
+
+// POST endpoint for other systems to send one message, e.g. an order confirmation.
+// JSON fields: to (phone number), message (text, {{placeholders}} are filled from
+// variables), variables, countryCode, sessionId, wait (seconds to wait for the outcome,
+// 0 to 60, default 20). Answers 200 with the final status and WhatsApp message ID, or
+// 202 with the message still queued when sending takes longer than wait; its status
+// is at GET /api/messages/:id then. An Idempotency-Key header (or idempotencyKey
+// field) makes retries safe: repeating a key within 24 hours returns the first
+// request's message instead of sending again.
+app.post('/api/messages', async (req, res) => {
+    try {
+        let idempotencyKey;
+        try {
+            idempotencyKey = validateIdempotencyKey(req.get('idempotency-key') || req.body.idempotencyKey);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const number = normalizePhoneNumber(req.body.to, { defaultCountryCode: req.body.countryCode || getDefaultCountryCode() });
+        if (!number.valid) {
+            return res.status(400).json({ success: false, error: `Invalid recipient: ${number.message}` });
+        }
+
+        const text = typeof req.body.message === 'string' ? req.body.message : '';
+        if (!text.trim()) {
+            return res.status(400).json({ success: false, error: 'message is required' });
+        }
+
+        const variables = req.body.variables || {};
+        if (typeof variables !== 'object' || Array.isArray(variables)) {
+            return res.status(400).json({ success: false, error: 'variables must be an object of placeholder values' });
+        }
+        const missing = findMissingValues(text, variables);
+        if (missing.length > 0) {
+            return res.status(400).json({ success: false, error: `Missing values for placeholders: ${missing.join(', ')}` });
+        }
+
+        const wait = req.body.wait === undefined || req.body.wait === '' ? DEFAULT_MESSAGE_WAIT_SECONDS : Number(req.body.wait);
+        if (isNaN(wait) || wait < 0 || wait > MAX_MESSAGE_WAIT_SECONDS) {
+            return res.status(400).json({ success: false, error: `wait must be 0 to ${MAX_MESSAGE_WAIT_SECONDS} seconds` });
+        }
+
+        // A retry of an earlier request gets that request's message, whatever became of it
+        const fingerprint = fingerprintRequest({
+            to: number.phoneNumber,
+            message: text,
+            variables: variables,
+            sessionId: req.query.sessionId || req.body.sessionId || null
+        });
+        const existing = findByIdempotencyKey(req.user.id, idempotencyKey);
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This idempotency key was already used for a different request'
+                });
+            }
+            return replyWithDirectMessage(res, existing, true);
+        }
+
+        const session = requireReadySession(req, res);
+        if (!session) return;
+
+        const record = createDirectMessage({
+            idempotencyKey: idempotencyKey,
+            fingerprint: fingerprint,
+            userId: req.user.id,
+            phoneNumber: number.phoneNumber,
+            message: renderMessage(text, variables),
+            sessionId: session.id
+        });
+
+        const sending = sendDirectMessage(session, record, record.message)
+            .catch(error => {
+                console.error(`Error sending message ${record.id}:`, error);
+                try {
+                    return recordDirectResult(record.id, { success: false, phoneNumber: record.phoneNumber, status: 'error', error: error.message });
+                } catch (saveError) {
+                    console.error(`Error saving the result of message ${record.id}:`, saveError);
+                    return null;
                 }
+            });
 
-                const result = await sendMessage(number, message, mediaPath);
-                results.push(result);
-                console.log(`Sent to ${number} (${i+1}/${numbers.length}): ${result.success ? 'Success' : 'Failed'}`);
-            } catch (error) {
-                console.error(`Error sending to ${number}:`, error);
-                results.push({ success: false, phoneNumber: number, error: error.message });
+        let timer;
+        const outcome = await Promise.race([
+            sending,
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(null), wait * 1000);
+            })
+        ]);
+        clearTimeout(timer);
+
+        replyWithDirectMessage(res, outcome || getDirectMessage(record.id), false);
+    } catch (error) {
+        console.error('Error handling message request:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get a message sent through POST /api/messages, with its status and receipts
+app.get('/api/messages/:id', (req, res) => {
+    const record = getDirectMessage(req.params.id);
+
+    if (!record || (record.userId !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({
+            success: false,
+            error: 'Message not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: summarizeDirectMessage(record)
+    });
+});
+
+// POST endpoint to check which numbers are on WhatsApp before sending. Takes the
+// same recipient inputs as /api/send and checks them in the background.
+app.post('/api/verify', upload.fields([{ name: 'excel' }]), async (req, res) => {
+    const session = requireReadySession(req, res);
+    if (!session) return;
+
+    try {
+        // Group members are read through the same account that checks the numbers
+        const { columns, recipients: collected, rejected, error: recipientsError } = await collectRecipients(req, session.client);
+
+        if (recipientsError) {
+            return res.status(400).json({ success: false, error: recipientsError });
+        }
+
+        // Only phone numbers can be checked, groups (groupMode 'group') are reported back
+        const recipients = collected.filter(recipient => {
+            if (recipient.phoneNumber.endsWith('@g.us')) {
+                rejected.push({
+                    source: 'groups',
+                    input: recipient.phoneNumber,
+                    reason: 'not_applicable',
+                    message: 'Groups are not checked, add them again when sending'
+                });
+                return false;
             }
+            return true;
+        });
+
+        if (recipients.length === 0 && rejected.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No phone numbers found. Please provide recipients.'
+            });
         }
 
-        console.log(`Completed sending. Success: ${results.filter(r => r.success).length}/${numbers.length}`);
+        const verification = createVerification({
+            columns,
+            recipients,
+            rejected,
+            ratePerMinute: req.body.ratePerMinute
+        });
+
+        res.json({
+            success: true,
+            verificationId: verification.id,
+            numbersCount: recipients.length,
+            rejectedCount: rejected.length,
+            ratePerMinute: verification.ratePerMinute
+        });
 
+        runVerification(verification, phoneNumber => session.client.isRegisteredUser(`${phoneNumber}@c.us`))
+            .catch(error => console.error(`Error running verification ${verification.id}:`, error));
     } catch (error) {
-        console.error('Error in send endpoint:', error);
-        res.status(500).json({ success: false, error: 'Server error while sending messages' });
+        console.error('Error in verify endpoint:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// GET endpoint to get the progress and results of a verification
+app.get('/api/verify/:id', (req, res) => {
+    const verification = getVerification(req.params.id);
 
+    if (!verification) {
+        return res.status(404).json({
+            success: false,
+            error: 'Verification not found'
+        });
+    }
 
-// Make sure export directory exists
-app.use('/exports', express.static(path.join(__dirname, 'exports')));
+    res.json({
+        success: true,
+        verification: summarizeVerification(verification)
+    });
+});
 
-// Main webpage with advanced interface
-app.get('/', (req, res) => {
-    res.render('index');
+// GET endpoint to list all campaigns with their progress
+app.get('/api/campaigns', (req, res) => {
+    try {
+        // Optional ?status=scheduled (or any other status) filter
+        const campaigns = listCampaigns()
+            .filter(campaign => !req.query.status || campaign.status === req.query.status);
+        res.json({
+            success: true,
+            campaignCount: campaigns.length,
+            campaigns: campaigns
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get a campaign with per-recipient results
+app.get('/api/campaigns/:id', (req, res) => {
+    try {
+        const campaign = getCampaign(req.params.id);
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            campaign: {
+                ...summarizeCampaign(campaign),
+                recipients: campaign.recipients
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
+// GET endpoint to export a campaign's per-recipient delivery and read receipts to Excel
+app.get('/api/campaigns/:id/delivery-report', async (req, res) => {
+    const campaign = getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+        });
+    }
+
+    try {
+        const filename = `delivery-report-${campaign.id}-${Date.now()}.xlsx`;
+        await exportDeliveryReport(campaign, filename);
+
+        res.json({
+            success: true,
+            filename: filename,
+            downloadUrl: `/reports/${filename}`,
+            recipientCount: campaign.recipients.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Apply a pause/resume/cancel action to a campaign and reply with its new state
+function controlCampaign(action) {
+    return (req, res) => {
+        if (!getCampaign(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        try {
+            let campaign;
+            if (action === 'pause') {
+                campaign = pauseCampaign(req.params.id);
+            } else if (action === 'resume') {
+                campaign = resumeCampaign(req.params.id, sendCampaignMessage);
+            } else {
+                campaign = cancelCampaign(req.params.id);
+            }
+
+            res.json({
+                success: true,
+                campaign: summarizeCampaign(campaign)
+            });
+        } catch (error) {
+            res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+// POST endpoints to pause, resume or cancel a campaign
+app.post('/api/campaigns/:id/pause', controlCampaign('pause'));
+app.post('/api/campaigns/:id/resume', controlCampaign('resume'));
+app.post('/api/campaigns/:id/cancel', controlCampaign('cancel'));
+
+// POST endpoint to re-send a finished campaign to its failed recipients only, as a
+// follow-up campaign with the same message and settings
+app.post('/api/campaigns/:id/resend-failed', (req, res) => {
+    if (!getCampaign(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+        });
+    }
+
+    let followUp;
+    try {
+        followUp = createFollowUpCampaign(req.params.id, phoneNumber =>
+            !phoneNumber.endsWith('@g.us') && isOptedOut(phoneNumber) ? 'Number is on the do-not-contact list' : null);
+    } catch (error) {
+        return res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.json({
+        success: true,
+        campaignId: followUp.id,
+        campaign: summarizeCampaign(followUp)
+    });
+
+    runCampaign(followUp, sendCampaignMessage)
+        .catch(error => console.error(`Error running campaign ${followUp.id}:`, error));
+});
+
+// GET endpoint to list the do-not-contact list
+app.get('/api/opt-outs', (req, res) => {
+    try {
+        const optOuts = listOptOuts();
+        res.json({
+            success: true,
+            optOutCount: optOuts.length,
+            optOuts: optOuts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to add one or more numbers to the do-not-contact list
+app.post('/api/opt-outs', (req, res) => {
+    try {
+        const { phoneNumber, phoneNumbers, reason } = req.body;
+        const defaultCountryCode = req.body.countryCode || getDefaultCountryCode();
+        const numbers = []
+            .concat(phoneNumber || [])
+            .concat(Array.isArray(phoneNumbers) ? phoneNumbers : String(phoneNumbers || '').split(/[\n,]/))
+            .map(number => String(number).trim())
+            .filter(number => number);
+
+        // Numbers that do not normalize are reported back instead of being stored
+        const added = [];
+        const rejected = [];
+        numbers.forEach((number, index) => {
+            const entry = addOptOut(number, { reason: reason || '', source: 'manual', defaultCountryCode });
+            if (entry) {
+                added.push(entry);
+            } else {
+                const result = normalizePhoneNumber(number, { defaultCountryCode });
+                rejected.push({ index: index, input: result.input, reason: result.reason, message: result.message });
+            }
+        });
+
+        if (added.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: rejected.length > 0 ? `No valid phone numbers provided: ${rejected[0].message}` : 'No valid phone numbers provided',
+                rejected: rejected
+            });
+        }
+
+        res.json({
+            success: true,
+            optOuts: added,
+            rejected: rejected
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove a number from the do-not-contact list
+app.delete('/api/opt-outs/:phoneNumber', (req, res) => {
+    try {
+        if (!removeOptOut(req.params.phoneNumber)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Number is not on the do-not-contact list'
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to import numbers into the do-not-contact list from Excel
+app.post('/api/opt-outs/import', upload.single('excel'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            error: 'Excel file is required'
+        });
+    }
+
+    try {
+        const result = await importOptOuts(req.file.path, {
+            defaultCountryCode: req.body.countryCode || getDefaultCountryCode()
+        });
+        res.json({
+            success: true,
+            added: result.added,
+            rejected: result.rejected
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to export the do-not-contact list to Excel
+app.get('/api/opt-outs/export', async (req, res) => {
+    try {
+        const filename = `opt-outs-${Date.now()}.xlsx`;
+        await exportOptOuts(filename);
+
+        res.json({
+            success: true,
+            filename: filename,
+            downloadUrl: `/exports/${filename}`,
+            optOutCount: listOptOuts().length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Contacts for a saved audience from the source named in the request: 'excel'
+// (uploaded sheet, keeps its columns), 'manual' (numbersText or numbers), 'contacts'
+// (saved WhatsApp contacts) or 'group' (members of groupId). Replies with an error
+// and returns null when the source cannot be read.
+async function collectAudienceContacts(req, res) {
+    const source = req.body.source || (req.file ? 'excel' : 'manual');
+    const options = { defaultCountryCode: req.body.countryCode || getDefaultCountryCode() };
+
+    if (source === 'excel') {
+        if (!req.file) {
+            res.status(400).json({ success: false, error: 'Excel file is required' });
+            return null;
+        }
+        const excel = await extractRecipientsFromExcel(req.file.path, options);
+        return {
+            source: source,
+            columns: excel.columns,
+            contacts: excel.recipients.map(({ phoneNumber, variables }) => ({ phoneNumber, variables })),
+            rejected: excel.rejected
+        };
+    }
+
+    if (source === 'manual') {
+        const { phoneNumbers, rejected } = await parsePhoneNumbers(req, options);
+        return {
+            source: source,
+            columns: [],
+            contacts: phoneNumbers.map(phoneNumber => ({ phoneNumber, variables: {} })),
+            rejected: rejected
+        };
+    }
+
+    if (source !== 'contacts' && source !== 'group') {
+        res.status(400).json({ success: false, error: 'source must be excel, manual, contacts or group' });
+        return null;
+    }
+
+    const session = requireReadySession(req, res);
+    if (!session) return null;
+
+    if (source === 'contacts') {
+        const result = await extractAllContacts(session.client);
+        if (!result.success) {
+            res.status(500).json({ success: false, error: result.error });
+            return null;
+        }
+
+        // WhatsApp numbers always include the country code
+        const contacts = [];
+        const rejected = [];
+        result.contacts.forEach((contact, index) => {
+            const number = normalizePhoneNumber(contact.number, { international: true });
+            if (!number.valid) {
+                rejected.push({ source: source, index: index, input: contact.number, reason: number.reason, message: number.message });
+                return;
+            }
+            contacts.push({
+                phoneNumber: number.phoneNumber,
+                variables: { Name: contact.name === 'Unknown' ? '' : contact.name }
+            });
+        });
+        return {
+            source: source,
+            columns: ['Name'],
+            contacts: contacts,
+            rejected: rejected
+        };
+    }
+
+    if (!req.body.groupId) {
+        res.status(400).json({ success: false, error: 'groupId is required' });
+        return null;
+    }
+    const groups = await collectGroupRecipients(session.client, [req.body.groupId], 'members');
+    return {
+        source: source,
+        columns: ['Name', 'Group'],
+        contacts: groups.recipients,
+        rejected: groups.rejected
+    };
+}
+
+// GET endpoint to list saved audiences, optionally only those with a tag
+app.get('/api/audiences', (req, res) => {
+    try {
+        const audiences = listAudiences({ tag: req.query.tag || null });
+        res.json({
+            success: true,
+            audienceCount: audiences.length,
+            audiences: audiences
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to save a new audience from an Excel file, numbers typed by hand,
+// the saved WhatsApp contacts or the members of a group
+app.post('/api/audiences', upload.single('excel'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Name is required' });
+        }
+
+        const collected = await collectAudienceContacts(req, res);
+        if (!collected) return;
+
+        if (collected.contacts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid phone numbers found for this audience',
+                rejectedCount: collected.rejected.length,
+                rejected: collected.rejected
+            });
+        }
+
+        const { audience, duplicates } = createAudience({
+            name: name,
+            tags: req.body.tags,
+            columns: collected.columns,
+            contacts: collected.contacts,
+            source: collected.source
+        });
+
+        res.json({
+            success: true,
+            audience: summarizeAudience(audience),
+            duplicates: duplicates,
+            rejectedCount: collected.rejected.length,
+            rejected: collected.rejected
+        });
+    } catch (error) {
+        console.error('Error saving audience:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to save a new audience combining others: everyone on the include
+// lists who is on none of the exclude lists
+app.post('/api/audiences/combine', (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Name is required' });
+        }
+
+        const audience = combineAudiences({
+            name: name,
+            include: parseIdList(req.body.include || []),
+            exclude: parseIdList(req.body.exclude || []),
+            tags: req.body.tags
+        });
+
+        res.json({
+            success: true,
+            audience: summarizeAudience(audience)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get an audience with its contacts
+app.get('/api/audiences/:id', (req, res) => {
+    const audience = getAudience(req.params.id);
+    if (!audience) {
+        return res.status(404).json({
+            success: false,
+            error: 'Audience not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        audience: audience
+    });
+});
+
+// PATCH endpoint to rename an audience or change its tags
+app.patch('/api/audiences/:id', (req, res) => {
+    if (!getAudience(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Audience not found'
+        });
+    }
+
+    try {
+        const { name, tags } = req.body;
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+        }
+
+        const audience = updateAudience(req.params.id, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            tags: tags
+        });
+        res.json({
+            success: true,
+            audience: summarizeAudience(audience)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to add contacts to an audience from the same sources as a new one.
+// Numbers already on the list are merged instead of added twice.
+app.post('/api/audiences/:id/contacts', upload.single('excel'), async (req, res) => {
+    if (!getAudience(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Audience not found'
+        });
+    }
+
+    try {
+        const collected = await collectAudienceContacts(req, res);
+        if (!collected) return;
+
+        const { audience, added, duplicates } = addContacts(req.params.id, collected);
+        res.json({
+            success: true,
+            audience: summarizeAudience(audience),
+            added: added,
+            duplicates: duplicates,
+            rejectedCount: collected.rejected.length,
+            rejected: collected.rejected
+        });
+    } catch (error) {
+        console.error('Error adding contacts to audience:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove a number from an audience
+app.delete('/api/audiences/:id/contacts/:phoneNumber', (req, res) => {
+    if (!getAudience(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Audience not found'
+        });
+    }
+
+    // The number as stored in the audience, or as typed by hand, e.g. "+91 98765 43210"
+    const stored = normalizePhoneNumber(req.params.phoneNumber, { international: true });
+    const typed = normalizePhoneNumber(req.params.phoneNumber);
+    if (!stored.valid && !typed.valid) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid number: ${typed.message}`
+        });
+    }
+
+    try {
+        const removed = (stored.valid ? removeContacts(req.params.id, [stored.phoneNumber]) : 0)
+            || (typed.valid && typed.phoneNumber !== stored.phoneNumber ? removeContacts(req.params.id, [typed.phoneNumber]) : 0);
+        if (removed === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Number is not in this audience'
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to delete an audience
+app.delete('/api/audiences/:id', (req, res) => {
+    try {
+        if (!deleteAudience(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Audience not found'
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to list inbox conversations, newest first. unread=true lists only
+// unread ones, campaignId only those with replies to that campaign.
+app.get('/api/inbox', (req, res) => {
+    try {
+        const conversations = listConversations({
+            unreadOnly: req.query.unread === 'true',
+            campaignId: req.query.campaignId || null
+        });
+        res.json({
+            success: true,
+            conversationCount: conversations.length,
+            unreadCount: conversations.reduce((sum, conversation) => sum + conversation.unreadCount, 0),
+            conversations: conversations
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get a conversation with its messages, marking it as read
+app.get('/api/inbox/:phoneNumber', (req, res) => {
+    const conversation = markConversationRead(req.params.phoneNumber);
+    if (!conversation) {
+        return res.status(404).json({
+            success: false,
+            error: 'Conversation not found'
+        });
+    }
+
+    const campaign = conversation.campaignId ? getCampaign(conversation.campaignId) : null;
+    res.json({
+        success: true,
+        conversation: conversation,
+        campaign: campaign ? { id: campaign.id, message: campaign.message, createdAt: campaign.createdAt } : null
+    });
+});
+
+// POST endpoint to reply in a conversation, from the account the last message came in on
+app.post('/api/inbox/:phoneNumber/reply', async (req, res) => {
+    const conversation = getConversation(req.params.phoneNumber);
+    if (!conversation) {
+        return res.status(404).json({
+            success: false,
+            error: 'Conversation not found'
+        });
+    }
+
+    const message = (req.body.message || '').trim();
+    if (!message) {
+        return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+
+    const session = req.body.sessionId || req.query.sessionId
+        ? getRequestSession(req)
+        : getSession(conversation.sessionId || 'default');
+    if (!session || !session.isReady) {
+        return res.status(503).json({
+            success: false,
+            error: 'The WhatsApp account of this conversation is not ready'
+        });
+    }
+
+    try {
+        const result = await sendMessage(session.client, conversation.phoneNumber, message);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                status: result.status,
+                error: result.error || `Message not sent: ${result.status}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: addOutgoingMessage(conversation.phoneNumber, { body: message, sessionId: session.id, source: 'inbox' })
+        });
+    } catch (error) {
+        console.error('Error replying in inbox:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to list the auto-reply rules, in the order they are tried
+app.get('/api/auto-replies', (req, res) => {
+    res.json({
+        success: true,
+        rules: listRules()
+    });
+});
+
+// GET endpoint to list the replies sent by auto-reply rules, newest first
+app.get('/api/auto-replies/log', (req, res) => {
+    const replies = listReplyLog({
+        ruleId: req.query.ruleId || null,
+        limit: Math.min(parseInt(req.query.limit) || 200, 5000)
+    });
+    res.json({
+        success: true,
+        replyCount: replies.length,
+        replies: replies
+    });
+});
+
+// POST endpoint to add an auto-reply rule. Fields: name, triggerType (keyword or
+// regex), triggerValue, scope (all, campaign_recipients, groups), responseText,
+// media (file), cooldownMinutes, businessHours ({ start, end, days, timeZone, when }), enabled
+app.post('/api/auto-replies', upload.single('media'), (req, res) => {
+    try {
+        const rule = createRule({
+            ...req.body,
+            media: req.file ? { path: req.file.path, name: req.file.originalname } : null
+        });
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// PUT endpoint to edit an auto-reply rule, fields that are left out keep their value
+app.put('/api/auto-replies/:id', upload.single('media'), (req, res) => {
+    if (!getRule(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Rule not found'
+        });
+    }
+
+    try {
+        const rule = updateRule(req.params.id, {
+            ...req.body,
+            media: req.file ? { path: req.file.path, name: req.file.originalname } : null
+        });
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove an auto-reply rule
+app.delete('/api/auto-replies/:id', (req, res) => {
+    if (!deleteRule(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Rule not found'
+        });
+    }
+
+    res.json({ success: true });
+});
+
+// GET endpoint to list the message templates, optionally of one category
+app.get('/api/templates', (req, res) => {
+    try {
+        const templates = listTemplates({ category: req.query.category || null });
+        res.json({
+            success: true,
+            templateCount: templates.length,
+            templates: templates
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to add a message template with an optional default media file
+app.post('/api/templates', upload.single('media'), (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const { body, category } = req.body;
+        if (!name || !body) {
+            return res.status(400).json({ success: false, error: 'Name and body are required' });
+        }
+
+        const template = createTemplate({
+            name: name,
+            category: category,
+            body: body,
+            media: req.file ? { path: req.file.path, name: req.file.originalname } : null
+        });
+
+        res.json({
+            success: true,
+            template: summarizeTemplate(template)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to get a template with all its versions
+app.get('/api/templates/:id', (req, res) => {
+    const template = getTemplate(req.params.id);
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            error: 'Template not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        template: { ...summarizeTemplate(template), versions: template.versions }
+    });
+});
+
+// GET endpoint to get one version of a template
+app.get('/api/templates/:id/versions/:version', (req, res) => {
+    const template = getTemplate(req.params.id);
+    const version = template ? getTemplateVersion(template, req.params.version) : null;
+    if (!version) {
+        return res.status(404).json({
+            success: false,
+            error: 'Template version not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        templateId: template.id,
+        version: version
+    });
+});
+
+// PUT endpoint to edit a template, saved as a new version. Fields that are left
+// out keep their value; removeMedia drops the default media.
+app.put('/api/templates/:id', upload.single('media'), (req, res) => {
+    const existing = getTemplate(req.params.id);
+    if (!existing || existing.deletedAt) {
+        return res.status(404).json({
+            success: false,
+            error: 'Template not found'
+        });
+    }
+
+    try {
+        const { name, category, body, removeMedia } = req.body;
+        if ((name !== undefined && !String(name).trim()) || body === '') {
+            return res.status(400).json({ success: false, error: 'Name and body cannot be empty' });
+        }
+
+        const template = updateTemplate(req.params.id, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            category: category,
+            body: body,
+            media: req.file ? { path: req.file.path, name: req.file.originalname } : null,
+            removeMedia: removeMedia === true || removeMedia === 'true'
+        });
+
+        res.json({
+            success: true,
+            template: summarizeTemplate(template)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove a template from the library. Its versions stay
+// readable for campaigns that used them.
+app.delete('/api/templates/:id', (req, res) => {
+    try {
+        if (!deleteTemplate(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to log in with username and password, sets the session cookie
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const user = authenticateUser(req.body.username, req.body.password);
+        setSessionCookie(req, res, createLogin(user.id));
+        req.user = user;
+        req.authVia = 'session';
+
+        res.json({
+            success: true,
+            user: summarizeUser(user)
+        });
+    } catch (error) {
+        res.status(401).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to log out, ends the login of the session cookie
+app.post('/api/auth/logout', (req, res) => {
+    const token = getLoginToken(req);
+    if (token) {
+        endLogin(token);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// GET endpoint to get the logged in user
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        user: summarizeUser(req.user)
+    });
+});
+
+// POST endpoint to change the own password. Fields: currentPassword, newPassword.
+// Ends every login of the user, a new session cookie is set for this one.
+app.post('/api/auth/password', (req, res) => {
+    try {
+        authenticateUser(req.user.username, req.body.currentPassword);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Current password is wrong'
+        });
+    }
+
+    try {
+        updateUser(req.user.id, { password: req.body.newPassword });
+        if (req.authVia === 'session') {
+            setSessionCookie(req, res, createLogin(req.user.id));
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET endpoint to list the users, with the roles they can have
+app.get('/api/users', (req, res) => {
+    res.json({
+        success: true,
+        roles: ROLES,
+        users: listUsers().map(summarizeUser)
+    });
+});
+
+// POST endpoint to add a user. Fields: username, password, role (admin, operator, viewer)
+app.post('/api/users', (req, res) => {
+    try {
+        const user = createUser(req.body);
+        res.json({
+            success: true,
+            user: summarizeUser(user)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// PATCH endpoint to change a user's role, password or disabled flag.
+// A new password or disabling the user ends all of their logins.
+app.patch('/api/users/:id', (req, res) => {
+    if (!getUser(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+
+    try {
+        const user = updateUser(req.params.id, {
+            role: req.body.role,
+            password: req.body.password,
+            disabled: req.body.disabled
+        });
+        res.json({
+            success: true,
+            user: summarizeUser(user)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove a user with their API keys
+app.delete('/api/users/:id', (req, res) => {
+    try {
+        if (!deleteUser(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to create an API key for a user. The key is only returned here,
+// it cannot be shown again.
+app.post('/api/users/:id/api-keys', (req, res) => {
+    const created = createApiKey(req.params.id, req.body.name);
+    if (!created) {
+        return res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+    }
+
+    const { hash, ...apiKey } = created.apiKey;
+    res.json({
+        success: true,
+        key: created.key,
+        apiKey: apiKey
+    });
+});
+
+// DELETE endpoint to revoke an API key of a user
+app.delete('/api/users/:id/api-keys/:keyId', (req, res) => {
+    if (!revokeApiKey(req.params.id, req.params.keyId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'API key not found'
+        });
+    }
+
+    res.json({ success: true });
+});
+
+// GET endpoint to list the audit log, newest first, optionally of one user or since a date
+app.get('/api/audit-log', (req, res) => {
+    const entries = listAuditLog({
+        userId: req.query.userId || null,
+        since: req.query.since || null,
+        limit: Math.min(parseInt(req.query.limit) || 200, 5000)
+    });
+    res.json({
+        success: true,
+        entryCount: entries.length,
+        entries: entries
+    });
+});
+
+// GET endpoint to list the webhook endpoints, with the events they can subscribe to
+app.get('/api/webhooks', (req, res) => {
+    res.json({
+        success: true,
+        events: Object.keys(WEBHOOK_EVENTS),
+        webhooks: listWebhooks()
+    });
+});
+
+// GET endpoint to list webhook deliveries, newest first, optionally of one endpoint
+// (webhookId) or status (pending, delivered, failed)
+app.get('/api/webhooks/deliveries', (req, res) => {
+    const deliveries = listDeliveries({
+        webhookId: req.query.webhookId || null,
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit) || 200, 5000)
+    });
+    res.json({
+        success: true,
+        deliveryCount: deliveries.length,
+        deliveries: deliveries
+    });
+});
+
+// POST endpoint to send a failed webhook delivery again
+app.post('/api/webhooks/deliveries/:id/retry', (req, res) => {
+    try {
+        const delivery = retryDelivery(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found'
+            });
+        }
+        res.json({
+            success: true,
+            delivery: delivery
+        });
+    } catch (error) {
+        res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST endpoint to add a webhook endpoint. Fields: name, url, events (list of event
+// names, all when left out), secret (generated when left out), enabled
+app.post('/api/webhooks', (req, res) => {
+    try {
+        const webhook = createWebhook(req.body);
+        res.json({
+            success: true,
+            webhook: webhook
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// PUT endpoint to edit a webhook endpoint, fields that are left out keep their value.
+// rotateSecret: true generates a new secret.
+app.put('/api/webhooks/:id', (req, res) => {
+    if (!getWebhook(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+    }
+
+    try {
+        const webhook = updateWebhook(req.params.id, req.body);
+        res.json({
+            success: true,
+            webhook: webhook
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// DELETE endpoint to remove a webhook endpoint
+app.delete('/api/webhooks/:id', (req, res) => {
+    if (!deleteWebhook(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+    }
+
+    res.json({ success: true });
+});
+
+// POST endpoint to send a webhook.test event to an endpoint
+app.post('/api/webhooks/:id/test', (req, res) => {
+    const delivery = sendTestEvent(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        delivery: delivery
+    });
+});
+
+// Exported files. Contact, group and opt-out exports hold the numbers of everyone in
+// them, so they need the operator role like the routes that create them.
+const exportsDir = path.join(__dirname, 'exports');
+app.use('/exports', requireLogin('operator'), express.static(exportsDir));
+
+// The reports viewers can create (delivery reports and verification results) are
+// downloaded from here instead, which serves no other export
+const REPORT_FILE_PATTERN = /^(delivery-report|verified)-[\w-]+\.xlsx$/;
+app.get('/reports/:filename', requireLogin('viewer'), (req, res) => {
+    if (!REPORT_FILE_PATTERN.test(req.params.filename)) {
+        return res.status(404).send('Report not found');
+    }
+    res.sendFile(req.params.filename, { root: exportsDir }, error => {
+        if (error && !res.headersSent) {
+            res.status(404).send('Report not found');
+        }
+    });
+});
+
+// Login page
+app.get('/login', (req, res) => {
+    if (req.user) {
+        return res.redirect('/');
+    }
+    res.render('login');
+});
+
+// Main webpage with advanced interface
+app.get('/', requireLogin('viewer'), (req, res) => {
+    res.render('index', { user: summarizeUser(req.user) });
+});
+
+// Create the first admin on a fresh install
+try {
+    ensureAdminUser();
+} catch (error) {
+    console.error('Error creating the admin user:', error);
+}
+
+// Forward events to the configured webhooks
+startWebhooks();
+
+// Check every 30 seconds for scheduled campaigns that are due
+setInterval(() => {
+    try {
+        startDueCampaigns(sendCampaignMessage);
+    } catch (error) {
+        console.error('Error starting scheduled campaigns:', error);
+    }
+}, 30 * 1000);
+
 // Start the server
 app.listen(PORT, () => {
     console.log(`WhatsApp Marketing Tool is running on http://localhost:${PORT}`);
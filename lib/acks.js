@@ -0,0 +1,87 @@
+// Delivery and read receipts. WhatsApp reports each sent message's progress
+// through 'message_ack' events; campaign messages and messages sent through the
+// messages API are remembered here by message ID so those events can be traced
+// back to the campaign recipient or API request they belong to.
+
+const fs = require('fs-extra');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+// Ack levels of whatsapp-web.js (ACK_SERVER to ACK_PLAYED) and their status names.
+// Lower levels (pending, error) are not receipts and are ignored.
+const ACK_STATUSES = { 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' };
+
+// Receipts older than this are not expected anymore, their messages are forgotten
+const TRACK_DAYS = 30;
+
+const trackedFile = dataPath('tracked-messages.json');
+let tracked = null;
+
+function loadTracked() {
+    if (!tracked) {
+        const since = Date.now() - TRACK_DAYS * 24 * 60 * 60 * 1000;
+        tracked = readJson(trackedFile, {});
+        Object.keys(tracked).forEach(messageId => {
+            if (new Date(tracked[messageId].sentAt).getTime() < since) {
+                delete tracked[messageId];
+            }
+        });
+    }
+    return tracked;
+}
+
+// Remember which campaign recipient (campaignId) or API message (directMessageId)
+// a sent message belongs to
+function trackMessage(messageId, { campaignId = null, directMessageId = null, phoneNumber }) {
+    loadTracked()[messageId] = { campaignId, directMessageId, phoneNumber, sentAt: new Date().toISOString() };
+    writeJsonAtomic(trackedFile, tracked);
+}
+
+// { campaignId, directMessageId, phoneNumber } of a tracked message, or null
+function findTrackedMessage(messageId) {
+    return loadTracked()[messageId] || null;
+}
+
+// Status name of an ack level, or null when it is not a receipt
+function ackStatus(ack) {
+    return ACK_STATUSES[ack] || null;
+}
+
+// Write a campaign's per-recipient delivery report to exports/
+async function exportDeliveryReport(campaign, filename) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Delivery Report');
+
+    worksheet.columns = [
+        { header: 'Number', key: 'phoneNumber', width: 20 },
+        { header: 'Send Status', key: 'status', width: 15 },
+        { header: 'Receipt', key: 'ack', width: 12 },
+        { header: 'Sent At', key: 'processedAt', width: 25 },
+        { header: 'Delivered At', key: 'deliveredAt', width: 25 },
+        { header: 'Read At', key: 'readAt', width: 25 },
+        { header: 'Played At', key: 'playedAt', width: 25 },
+        { header: 'Replied At', key: 'repliedAt', width: 25 },
+        { header: 'Error', key: 'error', width: 40 },
+        { header: 'Message ID', key: 'messageId', width: 40 }
+    ];
+
+    campaign.recipients.forEach(recipient => {
+        worksheet.addRow(recipient);
+    });
+
+    const outputDir = path.join(__dirname, '..', 'exports');
+    fs.ensureDirSync(outputDir);
+
+    const filePath = path.join(outputDir, filename);
+    await workbook.xlsx.writeFile(filePath);
+
+    return filePath;
+}
+
+module.exports = {
+    trackMessage,
+    findTrackedMessage,
+    ackStatus,
+    exportDeliveryReport
+};
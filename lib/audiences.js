@@ -0,0 +1,204 @@
+// Saved audiences: named contact lists with tags that campaigns can send to.
+// Contacts are { phoneNumber, variables } like campaign recipients, one per number.
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const audiencesDir = dataPath('audiences');
+fs.ensureDirSync(audiencesDir);
+
+function audiencePath(id) {
+    return path.join(audiencesDir, `${id}.json`);
+}
+
+function saveAudience(audience) {
+    audience.updatedAt = new Date().toISOString();
+    writeJsonAtomic(audiencePath(audience.id), audience);
+}
+
+// Tags are compared case-insensitively, given as an array or a comma separated string
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))];
+}
+
+// Add columns that are not there yet, ignoring case
+function mergeColumns(columns, extra) {
+    const merged = columns.slice();
+    (extra || []).forEach(column => {
+        if (!merged.some(existing => existing.toLowerCase() === column.toLowerCase())) {
+            merged.push(column);
+        }
+    });
+    return merged;
+}
+
+// Add contacts to a list without duplicates. A number that is already there keeps
+// its variables, only filling in the ones it did not have yet.
+function mergeContacts(existing, contacts) {
+    const byNumber = new Map(existing.map(contact => [contact.phoneNumber, contact]));
+    let added = 0;
+    let duplicates = 0;
+
+    contacts.forEach(({ phoneNumber, variables = {} }) => {
+        const current = byNumber.get(phoneNumber);
+        if (current) {
+            duplicates++;
+            Object.keys(variables).forEach(key => {
+                if (current.variables[key] === undefined || current.variables[key] === '') {
+                    current.variables[key] = variables[key];
+                }
+            });
+            return;
+        }
+
+        const contact = { phoneNumber: phoneNumber, variables: { ...variables } };
+        existing.push(contact);
+        byNumber.set(phoneNumber, contact);
+        added++;
+    });
+
+    return { added, duplicates };
+}
+
+// Create a list from already normalized contacts, duplicates are merged
+function createAudience({ name, tags = [], columns = [], contacts = [], source = 'manual' }) {
+    const audience = {
+        id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        name: name,
+        tags: normalizeTags(tags),
+        source: source,
+        columns: mergeColumns([], columns),
+        contacts: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: null
+    };
+
+    const { duplicates } = mergeContacts(audience.contacts, contacts);
+    saveAudience(audience);
+    return { audience, duplicates };
+}
+
+// Load a list by ID, returns null if it does not exist
+function getAudience(id) {
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+        return null;
+    }
+    return readJson(audiencePath(id), null);
+}
+
+// List without its contacts
+function summarizeAudience(audience) {
+    const { contacts, ...summary } = audience;
+    return { ...summary, contactCount: contacts.length };
+}
+
+// All lists, newest first, optionally only those with the given tag
+function listAudiences({ tag = null } = {}) {
+    const wanted = tag ? normalizeTags(tag)[0] : null;
+
+    return fs.readdirSync(audiencesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJson(path.join(audiencesDir, file), null))
+        .filter(audience => audience && (!wanted || audience.tags.includes(wanted)))
+        .map(summarizeAudience)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Rename or retag a list
+function updateAudience(id, { name, tags }) {
+    const audience = getAudience(id);
+    if (!audience) {
+        throw new Error('Audience not found');
+    }
+
+    if (name !== undefined) {
+        audience.name = name;
+    }
+    if (tags !== undefined) {
+        audience.tags = normalizeTags(tags);
+    }
+    saveAudience(audience);
+    return audience;
+}
+
+// Add contacts (and their columns) to a list, returns the counts of added and duplicate numbers
+function addContacts(id, { columns = [], contacts = [] }) {
+    const audience = getAudience(id);
+    if (!audience) {
+        throw new Error('Audience not found');
+    }
+
+    audience.columns = mergeColumns(audience.columns, columns);
+    const counts = mergeContacts(audience.contacts, contacts);
+    saveAudience(audience);
+    return { audience, ...counts };
+}
+
+// Remove numbers from a list, returns how many were removed
+function removeContacts(id, phoneNumbers) {
+    const audience = getAudience(id);
+    if (!audience) {
+        throw new Error('Audience not found');
+    }
+
+    const remove = new Set(phoneNumbers);
+    const before = audience.contacts.length;
+    audience.contacts = audience.contacts.filter(contact => !remove.has(contact.phoneNumber));
+    saveAudience(audience);
+    return before - audience.contacts.length;
+}
+
+// Delete a list, returns false if it did not exist
+function deleteAudience(id) {
+    const audience = getAudience(id);
+    if (!audience) {
+        return false;
+    }
+    fs.removeSync(audiencePath(id));
+    return true;
+}
+
+// New list with everyone on the include lists (union) who is on none of the
+// exclude lists (difference), e.g. "group A minus existing customers"
+function combineAudiences({ name, include = [], exclude = [], tags = [] }) {
+    const load = id => {
+        const audience = getAudience(id);
+        if (!audience) {
+            throw new Error(`Audience not found: ${id}`);
+        }
+        return audience;
+    };
+    const included = include.map(load);
+    const excluded = exclude.map(load);
+
+    if (included.length === 0) {
+        throw new Error('Pick at least one list to include');
+    }
+
+    const excludedNumbers = new Set();
+    excluded.forEach(audience => audience.contacts.forEach(contact => excludedNumbers.add(contact.phoneNumber)));
+
+    let columns = [];
+    const contacts = [];
+    included.forEach(audience => {
+        columns = mergeColumns(columns, audience.columns);
+        mergeContacts(contacts, audience.contacts.filter(contact => !excludedNumbers.has(contact.phoneNumber)));
+    });
+
+    return createAudience({ name, tags, columns, contacts, source: 'combined' }).audience;
+}
+
+module.exports = {
+    createAudience,
+    getAudience,
+    summarizeAudience,
+    listAudiences,
+    updateAudience,
+    addContacts,
+    removeContacts,
+    deleteAudience,
+    combineAudiences
+};
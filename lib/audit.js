@@ -0,0 +1,89 @@
+// Audit log of every state-changing API call: who did it, what they called and how
+// it ended. Entries are appended one JSON object per line, so the log is never
+// rewritten and earlier entries cannot be lost by a crash in the middle of a write.
+
+const fs = require('fs-extra');
+const { dataPath } = require('./store');
+
+const logFile = dataPath('audit-log.jsonl');
+
+// Request body fields that are never written to the log
+const SECRET_FIELDS = ['password', 'currentPassword', 'newPassword', 'key', 'apiKey', 'token', 'secret'];
+
+// Longest text value kept per body field, message texts can be long
+const MAX_VALUE_LENGTH = 200;
+
+// Body fields worth keeping, with secrets masked and long values shortened
+function sanitizeBody(body) {
+    if (!body || typeof body !== 'object') {
+        return null;
+    }
+
+    const result = {};
+    Object.keys(body).forEach(field => {
+        const value = body[field];
+        if (SECRET_FIELDS.includes(field)) {
+            result[field] = '***';
+        } else if (typeof value === 'string') {
+            result[field] = value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}...` : value;
+        } else if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+            result[field] = value;
+        } else {
+            result[field] = Array.isArray(value) ? `[${value.length} items]` : '[object]';
+        }
+    });
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+// Append an entry: user (or null when not logged in), action (e.g. "POST /api/send"),
+// status code, and any details
+function recordAudit({ user, via, action, statusCode, ip, body, files }) {
+    const entry = {
+        at: new Date().toISOString(),
+        userId: user ? user.id : null,
+        username: user ? user.username : null,
+        role: user ? user.role : null,
+        via: via || null,
+        action: action,
+        statusCode: statusCode,
+        ip: ip || null,
+        body: sanitizeBody(body),
+        files: files && files.length > 0 ? files : null
+    };
+
+    try {
+        fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+    return entry;
+}
+
+// Entries with the newest first, optionally of one user or since a date
+function listAuditLog({ userId = null, since = null, limit = 200 } = {}) {
+    if (!fs.existsSync(logFile)) {
+        return [];
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return fs.readFileSync(logFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(entry => entry
+            && (!userId || entry.userId === userId)
+            && (!sinceTime || new Date(entry.at).getTime() >= sinceTime))
+        .reverse()
+        .slice(0, limit);
+}
+
+module.exports = {
+    recordAudit,
+    listAuditLog
+};
@@ -0,0 +1,214 @@
+// Authentication and access control for the Express app. Requests log in with the
+// session cookie set by POST /api/auth/login, or with an API key in an
+// "Authorization: Bearer <key>" or "X-API-Key: <key>" header. Which role a route
+// needs is decided in one place, ROUTE_ROLES, so new routes are covered by default.
+
+const { LOGIN_TTL_MS, hasRole, findUserByLogin, findUserByApiKey } = require('./users');
+const { recordAudit } = require('./audit');
+
+const SESSION_COOKIE = 'wamt_session';
+
+// Routes anyone can call, without logging in
+const PUBLIC_ROUTES = [
+    { methods: ['POST'], pattern: /^\/api\/auth\/login$/ }
+];
+
+// Role needed per route, the first match wins. API routes that match none of these
+// need the operator role.
+const ROUTE_ROLES = [
+    // Own login
+    { pattern: /^\/api\/auth(\/|$)/, role: 'viewer' },
+    // Users, the audit log, webhooks and the WhatsApp accounts
+    { pattern: /^\/api\/(users|audit-log|webhooks)(\/|$)/, role: 'admin' },
+    { pattern: /^\/api\/qrcode$/, role: 'admin' },
+    { methods: ['POST', 'PUT', 'PATCH', 'DELETE'], pattern: /^\/api\/sessions(\/|$)/, role: 'admin' },
+    // Reports
+    { methods: ['GET'], pattern: /^\/api\/(status|events|sessions|campaigns|pacing|verify)(\/|$)/, role: 'viewer' },
+    { methods: ['GET'], pattern: /^\/api\/auto-replies\/log$/, role: 'viewer' }
+];
+
+const STATE_CHANGING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function matches(rule, req) {
+    return rule.pattern.test(req.path) && (!rule.methods || rule.methods.includes(req.method));
+}
+
+// Role a route needs, or null for public routes
+function requiredRole(req) {
+    if (PUBLIC_ROUTES.some(rule => matches(rule, req))) {
+        return null;
+    }
+    const rule = ROUTE_ROLES.find(other => matches(other, req));
+    return rule ? rule.role : 'operator';
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                cookies[name] = part.slice(index + 1).trim();
+            }
+        }
+    });
+    return cookies;
+}
+
+function getApiKey(req) {
+    const header = req.get('authorization') || '';
+    if (/^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+function getLoginToken(req) {
+    return parseCookies(req.get('cookie'))[SESSION_COOKIE] || null;
+}
+
+// Origins allowed to call the API from a browser, from CORS_ORIGINS (comma separated).
+// Without it only pages served by this app itself can call the API.
+function getAllowedOrigins() {
+    return String(process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+// Options for the cors middleware, allowing only the configured origins
+function corsOptions() {
+    const allowed = getAllowedOrigins();
+    return {
+        origin: (origin, callback) => callback(null, !!origin && allowed.includes(origin)),
+        credentials: true
+    };
+}
+
+// Whether a browser request comes from this app's own pages or an allowed origin.
+// Requests without an Origin header (not from a browser, or same-origin GETs) pass.
+function isTrustedOrigin(req) {
+    const origin = req.get('origin');
+    if (!origin) {
+        return true;
+    }
+    return origin === `${req.protocol}://${req.get('host')}` || getAllowedOrigins().includes(origin);
+}
+
+// Sets req.user and req.authVia ('session' or 'api_key') when the request is logged in
+function authenticate(req, res, next) {
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+        req.user = findUserByApiKey(apiKey);
+        req.authVia = req.user ? 'api_key' : null;
+    } else {
+        req.user = findUserByLogin(getLoginToken(req));
+        req.authVia = req.user ? 'session' : null;
+    }
+    next();
+}
+
+// Reject API requests that are not logged in or whose user lacks the route's role
+function authorize(req, res, next) {
+    if (!req.path.startsWith('/api/')) {
+        return next();
+    }
+
+    const role = requiredRole(req);
+    if (!role) {
+        return next();
+    }
+
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Login required'
+        });
+    }
+
+    // The session cookie is sent along with cross-site requests too, so state-changing
+    // calls logged in by cookie have to come from a trusted page
+    if (req.authVia === 'session' && STATE_CHANGING_METHODS.includes(req.method) && !isTrustedOrigin(req)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Request origin not allowed'
+        });
+    }
+
+    if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({
+            success: false,
+            error: `This needs the ${role} role`
+        });
+    }
+    next();
+}
+
+// Middleware for static files and pages: requires a login with at least the given
+// role, without one browsers are sent to the login page
+function requireLogin(role = 'viewer') {
+    return (req, res, next) => {
+        if (!req.user) {
+            return req.accepts('html') ? res.redirect('/login') : res.status(401).send('Login required');
+        }
+        if (!hasRole(req.user.role, role)) {
+            return res.status(403).send(`This needs the ${role} role`);
+        }
+        next();
+    };
+}
+
+// Write every state-changing API call to the audit log once it has been answered
+function auditTrail(req, res, next) {
+    if (!STATE_CHANGING_METHODS.includes(req.method) || !req.path.startsWith('/api/')) {
+        return next();
+    }
+
+    const action = `${req.method} ${req.path}`;
+    res.on('finish', () => {
+        const files = [
+            ...(req.file ? [req.file] : []),
+            ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+        ].map(file => file.originalname);
+
+        recordAudit({
+            user: req.user,
+            via: req.authVia,
+            action: action,
+            statusCode: res.statusCode,
+            ip: req.ip,
+            body: req.body,
+            files: files
+        });
+    });
+    next();
+}
+
+// Set or clear the session cookie. It is HttpOnly so page scripts cannot read it,
+// and SameSite=Strict so other sites cannot make the browser send it.
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: LOGIN_TTL_MS
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+}
+
+module.exports = {
+    corsOptions,
+    authenticate,
+    authorize,
+    requireLogin,
+    auditTrail,
+    getLoginToken,
+    setSessionCookie,
+    clearSessionCookie
+};
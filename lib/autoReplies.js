@@ -0,0 +1,290 @@
+// Keyword auto-responder. Rules answer incoming messages that match a keyword
+// list or a regular expression, within a scope (all chats, numbers a campaign
+// messaged, or groups), optionally only inside or outside business hours.
+// A rule answers the same contact at most once per cooldown, and every reply is logged.
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+const { createSendWindow, isWithinWindow, getLocalWeekday } = require('./schedule');
+
+const rulesFile = dataPath('auto-reply-rules.json');
+const logFile = dataPath('auto-reply-log.json');
+
+const SCOPES = ['all', 'campaign_recipients', 'groups'];
+
+// Oldest log entries are dropped beyond this
+const MAX_LOG_ENTRIES = 5000;
+
+let rules = null;
+let replyLog = null;
+
+function loadRules() {
+    if (!rules) {
+        rules = readJson(rulesFile, []);
+    }
+    return rules;
+}
+
+function loadLog() {
+    if (!replyLog) {
+        replyLog = readJson(logFile, []);
+    }
+    return replyLog;
+}
+
+function saveRules() {
+    writeJsonAtomic(rulesFile, loadRules());
+}
+
+function saveLog() {
+    writeJsonAtomic(logFile, loadLog());
+}
+
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true' || value === 'on' || value === '1';
+}
+
+// Business hours from request input: start/end (HH:MM), days (0 = Sunday, array
+// or comma list, defaults to every day), timeZone, and when ('inside' or 'outside')
+function parseBusinessHours(input) {
+    if (!input || (!input.start && !input.end)) {
+        return null;
+    }
+
+    const window = createSendWindow({ start: input.start, end: input.end, timeZone: input.timeZone });
+    const days = (Array.isArray(input.days) ? input.days : String(input.days || '0,1,2,3,4,5,6').split(','))
+        .map(day => Number(String(day).trim()))
+        .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (days.length === 0) {
+        throw new Error('Business hours need at least one day, 0 = Sunday to 6 = Saturday');
+    }
+
+    const when = input.when || 'inside';
+    if (when !== 'inside' && when !== 'outside') {
+        throw new Error('Business hours "when" must be inside or outside');
+    }
+
+    return { ...window, days: [...new Set(days)].sort(), when: when };
+}
+
+// Validate rule input and return the rule fields. Throws an Error describing the problem.
+// existing supplies the values of fields that are not given when editing.
+function validateRule(input, existing = null) {
+    const pick = key => input[key] !== undefined ? input[key] : (existing ? existing[key] : undefined);
+
+    const name = String(pick('name') || '').trim();
+    if (!name) {
+        throw new Error('Name is required');
+    }
+
+    const triggerType = input.triggerType || (existing ? existing.trigger.type : 'keyword');
+    const triggerValue = String(input.triggerValue !== undefined ? input.triggerValue : (existing ? existing.trigger.value : '')).trim();
+    if (triggerType !== 'keyword' && triggerType !== 'regex') {
+        throw new Error('triggerType must be keyword or regex');
+    }
+    if (!triggerValue) {
+        throw new Error('A keyword or regular expression is required');
+    }
+    if (triggerType === 'regex') {
+        try {
+            new RegExp(triggerValue, 'i');
+        } catch (error) {
+            // The message already reads "Invalid regular expression: ..."
+            throw new Error(error.message);
+        }
+    }
+
+    const scope = pick('scope') || 'all';
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`scope must be one of ${SCOPES.join(', ')}`);
+    }
+
+    const responseText = input.responseText !== undefined ? String(input.responseText) : (existing ? existing.response.text : '');
+    let media = existing ? { path: existing.response.mediaPath, name: existing.response.mediaName } : { path: null, name: null };
+    if (input.media) {
+        media = input.media;
+    } else if (parseBoolean(input.removeMedia, false)) {
+        media = { path: null, name: null };
+    }
+    if (!responseText.trim() && !media.path) {
+        throw new Error('A response text or media file is required');
+    }
+
+    const cooldownMinutes = Number(pick('cooldownMinutes') || 0);
+    if (isNaN(cooldownMinutes) || cooldownMinutes < 0) {
+        throw new Error('cooldownMinutes must be zero or more');
+    }
+
+    let businessHours = existing ? existing.businessHours : null;
+    if (input.businessHours !== undefined) {
+        let hours = input.businessHours;
+        if (typeof hours === 'string' && hours) {
+            try {
+                hours = JSON.parse(hours);
+            } catch (error) {
+                throw new Error('businessHours must be a JSON object');
+            }
+        }
+        businessHours = parseBusinessHours(hours);
+    }
+
+    return {
+        name: name,
+        enabled: parseBoolean(input.enabled, existing ? existing.enabled : true),
+        trigger: { type: triggerType, value: triggerValue },
+        scope: scope,
+        response: { text: responseText, mediaPath: media.path, mediaName: media.name },
+        cooldownMinutes: cooldownMinutes,
+        businessHours: businessHours
+    };
+}
+
+function listRules() {
+    return loadRules();
+}
+
+function getRule(id) {
+    return loadRules().find(rule => rule.id === id) || null;
+}
+
+function createRule(input) {
+    const rule = {
+        id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        ...validateRule(input),
+        createdAt: new Date().toISOString(),
+        updatedAt: null
+    };
+
+    loadRules().push(rule);
+    saveRules();
+    return rule;
+}
+
+function updateRule(id, input) {
+    const rule = getRule(id);
+    if (!rule) {
+        throw new Error('Rule not found');
+    }
+
+    Object.assign(rule, validateRule(input, rule), { updatedAt: new Date().toISOString() });
+    saveRules();
+    return rule;
+}
+
+// Delete a rule, returns false if it did not exist
+function deleteRule(id) {
+    const list = loadRules();
+    const index = list.findIndex(rule => rule.id === id);
+    if (index === -1) {
+        return false;
+    }
+
+    list.splice(index, 1);
+    saveRules();
+    return true;
+}
+
+// Keywords are a comma separated list, each matched as whole words ignoring case
+function matchesTrigger(trigger, body) {
+    if (trigger.type === 'regex') {
+        return new RegExp(trigger.value, 'i').test(body);
+    }
+
+    const text = body.toLowerCase();
+    return trigger.value
+        .split(',')
+        .map(keyword => keyword.trim().toLowerCase())
+        .filter(keyword => keyword)
+        .some(keyword => {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+        });
+}
+
+function matchesScope(scope, { isGroup, isCampaignRecipient }) {
+    if (scope === 'groups') return isGroup;
+    if (scope === 'campaign_recipients') return !isGroup && isCampaignRecipient;
+    return true;
+}
+
+function matchesBusinessHours(businessHours, now) {
+    if (!businessHours) return true;
+
+    const inside = businessHours.days.includes(getLocalWeekday(now, businessHours.timeZone))
+        && isWithinWindow(businessHours, now);
+    return businessHours.when === 'inside' ? inside : !inside;
+}
+
+function isCoolingDown(rule, contact, now) {
+    if (!rule.cooldownMinutes) return false;
+
+    const since = now.getTime() - rule.cooldownMinutes * 60 * 1000;
+    return loadLog().some(entry => entry.ruleId === rule.id
+        && entry.contact === contact
+        && entry.status !== 'error'
+        && new Date(entry.createdAt).getTime() > since);
+}
+
+// Find the first enabled rule that answers this message and log the reply as
+// 'sending' right away, so a second message arriving while it is being sent
+// already sees the cooldown. Returns { rule, entry } or null.
+function claimAutoReply({ body, chatId, contact, isGroup, isCampaignRecipient, sessionId }, now = new Date()) {
+    if (!body) return null;
+
+    const rule = loadRules().find(candidate => candidate.enabled
+        && matchesScope(candidate.scope, { isGroup, isCampaignRecipient })
+        && matchesTrigger(candidate.trigger, body)
+        && matchesBusinessHours(candidate.businessHours, now)
+        && !isCoolingDown(candidate, contact, now));
+    if (!rule) return null;
+
+    const entry = {
+        id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        chatId: chatId,
+        contact: contact,
+        sessionId: sessionId,
+        message: body,
+        response: null,
+        status: 'sending',
+        error: null,
+        createdAt: now.toISOString()
+    };
+
+    const log = loadLog();
+    log.push(entry);
+    if (log.length > MAX_LOG_ENTRIES) {
+        log.splice(0, log.length - MAX_LOG_ENTRIES);
+    }
+    saveLog();
+    return { rule, entry };
+}
+
+// Record how a claimed reply went
+function finishAutoReply(entry, { response, status, error = null }) {
+    entry.response = response;
+    entry.status = status;
+    entry.error = error;
+    saveLog();
+}
+
+// Logged replies, newest first, optionally of one rule
+function listReplyLog({ ruleId = null, limit = 200 } = {}) {
+    return loadLog()
+        .filter(entry => !ruleId || entry.ruleId === ruleId)
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    claimAutoReply,
+    finishAutoReply,
+    listReplyLog
+};
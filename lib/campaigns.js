@@ -0,0 +1,718 @@
+// Campaign persistence and the per-recipient send loop behind /api/send
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, writeJsonAtomic } = require('./store');
+const { findMissingValues } = require('./template');
+const { isWithinWindow, msUntilWindowOpens } = require('./schedule');
+const { createRotation, pickNextSession, recordOutcome, resetExclusions } = require('./rotation');
+const { createRetryPolicy, classifyFailure, retryDelayMs } = require('./retry');
+const { createPacing, describePacing, createLane, getPacingWait, recordPacedSend } = require('./pacing');
+const { emitEvent } = require('./liveEvents');
+
+// Every campaign is stored as its own JSON file
+const campaignsDir = dataPath('campaigns');
+fs.ensureDirSync(campaignsDir);
+
+// Campaigns whose send loop is currently active, keyed by ID. Control actions
+// change the live object so the loop sees them before the next recipient.
+const activeRuns = new Map();
+
+function campaignPath(id) {
+    return path.join(campaignsDir, `${id}.json`);
+}
+
+function generateCampaignId() {
+    return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Create and store a new campaign. Each recipient is { phoneNumber, variables },
+// where variables holds the Excel row used to fill in the message placeholders.
+// Recipients whose row leaves a placeholder empty, or that come with a
+// skipReason (e.g. opted out), are skipped up front.
+// A campaign with scheduledAt waits until then, one with a sendWindow only
+// sends while the window is open. pacing (see pacing.js) sets how fast each account
+// sends. sessionId is the WhatsApp account it sends from, or rotation (see rotation.js)
+// spreads it over several accounts.
+// audienceId records the saved audience the recipients came from.
+// parts (see messageParts.js) replace message and mediaPath for multi-part messages,
+// message then holds their template text. template records the library template
+// { id, name, version, modified } the message came from. retry (see retry.js) sets how
+// often transient failures are tried again, followUpOf the campaign this one re-sends.
+// variation (see spintax.js) holds alternative bodies used instead of message.
+function createCampaign({ recipients, message, parts = null, variation = null, mediaPath = null, pacing = null, retry = null, scheduledAt = null, sendWindow = null, sessionId = null, rotation = null, audienceId = null, template = null, followUpOf = null }) {
+    const campaign = {
+        id: generateCampaignId(),
+        status: scheduledAt ? 'scheduled' : 'queued',
+        sessionId: sessionId,
+        rotation: rotation,
+        audienceId: audienceId,
+        template: template,
+        message: message,
+        parts: parts,
+        variation: variation,
+        mediaPath: mediaPath,
+        pacing: pacing || createPacing(),
+        pacingLanes: {},
+        retry: retry || createRetryPolicy(),
+        followUpOf: followUpOf,
+        scheduledAt: scheduledAt,
+        sendWindow: sendWindow,
+        waitingUntil: null,
+        waitingReason: null,
+        waitingForSession: false,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        recipients: recipients.map(({ phoneNumber, variables = {}, skipReason = null }) => {
+            // Any of the bodies may be picked, so each of them has to render in full
+            const missing = findMissingValues([message, ...(variation ? variation.bodies : [])].join('\n'), variables);
+            if (!skipReason && missing.length > 0) {
+                skipReason = `Empty value for ${missing.join(', ')}`;
+            }
+            return {
+                phoneNumber: phoneNumber,
+                variables: variables,
+                status: skipReason ? 'skipped' : 'pending',
+                error: skipReason,
+                processedAt: null
+            };
+        })
+    };
+
+    saveCampaign(campaign);
+    return campaign;
+}
+
+function saveCampaign(campaign) {
+    writeJsonAtomic(campaignPath(campaign.id), campaign);
+}
+
+// Load a campaign by ID, returns null if it does not exist
+function getCampaign(id) {
+    if (activeRuns.has(id)) {
+        return activeRuns.get(id);
+    }
+
+    // IDs are used as file names, so reject anything that could escape the directory
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+        return null;
+    }
+
+    const filePath = campaignPath(id);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    return fs.readJsonSync(filePath);
+}
+
+// Count recipients per status
+function countStatuses(recipients) {
+    const counts = { pending: 0, sending: 0, sent: 0, not_registered: 0, error: 0, skipped: 0 };
+    recipients.forEach(recipient => {
+        counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    });
+    return counts;
+}
+
+// How far a campaign got: recipients handled out of the total, and counts per status
+function getProgress(recipients) {
+    const counts = countStatuses(recipients);
+    const total = recipients.length;
+    const processed = total - counts.pending - counts.sending;
+    return {
+        total: total,
+        processed: processed,
+        progress: total > 0 ? Math.round((processed / total) * 100) : 100,
+        counts: counts
+    };
+}
+
+// Campaign without the recipient list, used for listings and progress
+function summarizeCampaign(campaign) {
+    const { recipients, ...summary } = campaign;
+    const { total, processed, progress, counts } = getProgress(recipients);
+    const replied = recipients.filter(recipient => recipient.repliedAt).length;
+    const delivered = recipients.filter(recipient => recipient.deliveredAt).length;
+    const read = recipients.filter(recipient => recipient.readAt).length;
+    const retrying = recipients.filter(recipient => recipient.status === 'pending' && recipient.nextAttemptAt).length;
+    const percentOfSent = count => counts.sent > 0 ? Math.round((count / counts.sent) * 100) : 0;
+
+    return {
+        ...summary,
+        total: total,
+        processed: processed,
+        progress: progress,
+        counts: counts,
+        retrying: retrying,
+        pacingDescription: summary.pacing ? describePacing(summary.pacing) : null,
+        replied: replied,
+        replyRate: percentOfSent(replied),
+        delivered: delivered,
+        deliveredRate: percentOfSent(delivered),
+        read: read,
+        readRate: percentOfSent(read)
+    };
+}
+
+// Status and progress of a campaign, as reported to live listeners
+function campaignEventData(campaign) {
+    return {
+        campaignId: campaign.id,
+        status: campaign.status,
+        sessionId: campaign.sessionId || null,
+        waitingForSession: !!campaign.waitingForSession,
+        error: campaign.error || null,
+        startedAt: campaign.startedAt || null,
+        finishedAt: campaign.finishedAt || null,
+        followUpOf: campaign.followUpOf || null,
+        ...getProgress(campaign.recipients)
+    };
+}
+
+// Report a campaign's status and progress to live listeners. Besides the
+// campaign_status of every change, the first start of a campaign is reported as
+// campaign_started and its end (completed, failed or cancelled) as campaign_finished.
+function emitCampaignStatus(campaign, milestone = null) {
+    const data = campaignEventData(campaign);
+    emitEvent('campaign_status', data);
+    if (milestone) {
+        emitEvent(milestone, data);
+    }
+}
+
+// Report what happened to one recipient to live listeners, with the send result
+// as returned by the send function. A transient failure that will be retried is
+// reported as pending with its nextAttemptAt.
+function emitRecipientResult(campaign, recipient, result) {
+    emitEvent('recipient_result', {
+        campaignId: campaign.id,
+        phoneNumber: recipient.phoneNumber,
+        status: recipient.status,
+        error: recipient.error || null,
+        errorType: recipient.errorType || null,
+        attempts: recipient.attempts || 0,
+        nextAttemptAt: recipient.nextAttemptAt || null,
+        sessionId: recipient.sessionId || null,
+        messageId: recipient.messageId || null,
+        result: result,
+        ...getProgress(campaign.recipients)
+    });
+}
+
+// Mark a recipient as having replied to the campaign, the first reply counts.
+// Returns false when the campaign or the recipient is unknown.
+function recordReply(campaignId, phoneNumber, repliedAt) {
+    const campaign = getCampaign(campaignId);
+    if (!campaign) {
+        return false;
+    }
+
+    const recipient = campaign.recipients.find(entry => entry.phoneNumber === phoneNumber);
+    if (!recipient) {
+        return false;
+    }
+    if (!recipient.repliedAt) {
+        recipient.repliedAt = repliedAt;
+        saveCampaign(campaign);
+    }
+    return true;
+}
+
+// Receipt levels in the order WhatsApp reports them, each with the timestamp it sets
+const ACK_ORDER = ['sent', 'delivered', 'read', 'played'];
+const ACK_TIMESTAMPS = { delivered: 'deliveredAt', read: 'readAt', played: 'playedAt' };
+
+// Move a recipient's receipt status forward ('sent', 'delivered', 'read' or 'played').
+// Receipts can arrive out of order or be skipped, a read message also counts as
+// delivered. Returns false when the campaign or the recipient is unknown.
+function recordAck(campaignId, phoneNumber, ack, at = new Date().toISOString()) {
+    const campaign = getCampaign(campaignId);
+    if (!campaign) {
+        return false;
+    }
+
+    const recipient = campaign.recipients.find(entry => entry.phoneNumber === phoneNumber);
+    if (!recipient) {
+        return false;
+    }
+
+    const level = ACK_ORDER.indexOf(ack);
+    const current = recipient.ack ? ACK_ORDER.indexOf(recipient.ack) : -1;
+    if (level <= current) {
+        return true;
+    }
+
+    recipient.ack = ack;
+    ACK_ORDER.slice(1, level + 1).forEach(reached => {
+        const field = ACK_TIMESTAMPS[reached];
+        recipient[field] = recipient[field] || at;
+    });
+    saveCampaign(campaign);
+    return true;
+}
+
+// List all stored campaigns, newest first
+function listCampaigns() {
+    return fs.readdirSync(campaignsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                return summarizeCampaign(fs.readJsonSync(path.join(campaignsDir, file)));
+            } catch (error) {
+                console.error(`Could not read campaign file ${file}:`, error.message);
+                return null;
+            }
+        })
+        .filter(campaign => campaign)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Waits of at least this long are shown on the campaign
+const LONG_WAIT_MS = 60 * 1000;
+
+// The campaign's pacing policy. Campaigns from before pacing existed keep their
+// delaySeconds, and the daily cap of their rotation.
+function getPacing(campaign) {
+    if (!campaign.pacing) {
+        campaign.pacing = createPacing({
+            delaySeconds: campaign.delaySeconds || 1,
+            dailyCap: campaign.rotation ? campaign.rotation.dailyCap : undefined
+        });
+    }
+    return campaign.pacing;
+}
+
+// Pacing state of one account within the campaign
+function getLane(campaign, sessionId) {
+    campaign.pacingLanes = campaign.pacingLanes || {};
+    const key = sessionId || 'default';
+    if (!campaign.pacingLanes[key]) {
+        campaign.pacingLanes[key] = createLane();
+    }
+    return campaign.pacingLanes[key];
+}
+
+function getAccountWait(campaign, sessionId) {
+    return getPacingWait(getPacing(campaign), getLane(campaign, sessionId), sessionId || 'default');
+}
+
+// Show a long wait on the campaign, reason is a pacing reason or 'send_window'
+function setWaiting(campaign, waitMs, reason) {
+    campaign.waitingUntil = new Date(Date.now() + waitMs).toISOString();
+    campaign.waitingReason = reason;
+    saveCampaign(campaign);
+    console.log(`Campaign ${campaign.id} is waiting (${reason}) until ${campaign.waitingUntil}`);
+}
+
+function clearWaiting(campaign) {
+    if (campaign.waitingUntil) {
+        campaign.waitingUntil = null;
+        campaign.waitingReason = null;
+        saveCampaign(campaign);
+    }
+}
+
+// Hold the loop until the campaign's pacing lets the account send again
+async function waitForPacing(campaign, sessionId) {
+    let wait = getAccountWait(campaign, sessionId);
+    while (campaign.status === 'running' && wait.waitMs > 0) {
+        if (wait.waitMs >= LONG_WAIT_MS) {
+            setWaiting(campaign, wait.waitMs, wait.reason);
+        }
+        await waitWhileRunning(campaign, wait.waitMs);
+        wait = getAccountWait(campaign, sessionId);
+    }
+
+    clearWaiting(campaign);
+    return campaign.status === 'running';
+}
+
+// Sleep in short steps so a pause or cancel is noticed quickly.
+// Returns false when the campaign stopped running while waiting.
+async function waitWhileRunning(campaign, ms) {
+    const until = Date.now() + ms;
+    while (campaign.status === 'running' && Date.now() < until) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, until - Date.now())));
+    }
+    return campaign.status === 'running';
+}
+
+// Hold the loop until the campaign's send window is open
+async function waitForSendWindow(campaign) {
+    while (campaign.status === 'running' && !isWithinWindow(campaign.sendWindow)) {
+        const waitMs = msUntilWindowOpens(campaign.sendWindow);
+        setWaiting(campaign, waitMs, 'send_window');
+
+        await waitWhileRunning(campaign, waitMs);
+    }
+
+    clearWaiting(campaign);
+    return campaign.status === 'running';
+}
+
+// Wait until an account of a multi-account campaign may send and return its ID.
+// Returns null when the campaign has to stop: paused or cancelled, no account
+// connected (waits for one like a single-account campaign) or every account
+// taken out of rotation (the campaign is paused for the operator).
+async function waitForRotationSession(campaign) {
+    while (campaign.status === 'running') {
+        const pick = pickNextSession(campaign.rotation, sessionId => getAccountWait(campaign, sessionId));
+
+        if (pick.sessionId) {
+            clearWaiting(campaign);
+            return pick.sessionId;
+        }
+
+        if (pick.reason === 'not_ready') {
+            campaign.waitingForSession = true;
+            console.log(`Campaign ${campaign.id} is waiting for one of its WhatsApp sessions to be ready`);
+            return null;
+        }
+
+        if (pick.reason === 'exhausted') {
+            campaign.status = 'paused';
+            campaign.pausedAt = new Date().toISOString();
+            campaign.error = 'Every account was taken out of rotation after repeated errors. Resume to try them again.';
+            console.log(`Campaign ${campaign.id} paused: ${campaign.error}`);
+            return null;
+        }
+
+        if (pick.waitMs >= LONG_WAIT_MS) {
+            setWaiting(campaign, pick.waitMs, pick.reason);
+        }
+
+        await waitWhileRunning(campaign, pick.waitMs);
+    }
+    return null;
+}
+
+// Send to every pending recipient that is due, storing each result as soon as it is known.
+// Transient failures go back to pending with the time of their next attempt.
+async function sendPendingRecipients(campaign, send) {
+    const total = campaign.recipients.length;
+    const pacing = getPacing(campaign);
+    const retry = campaign.retry || createRetryPolicy();
+
+    for (let i = 0; i < total; i++) {
+        const recipient = campaign.recipients[i];
+        if (recipient.status !== 'pending') continue;
+        if (recipient.nextAttemptAt && new Date(recipient.nextAttemptAt).getTime() > Date.now()) continue;
+        if (campaign.status !== 'running') break;
+
+        let sessionId = campaign.sessionId;
+        if (campaign.rotation) {
+            // Every account keeps its own pacing, so there is no shared delay
+            sessionId = await waitForRotationSession(campaign);
+            if (!sessionId) break;
+        } else if (!await waitForPacing(campaign, sessionId)) {
+            // The campaign was paused or cancelled while waiting
+            break;
+        }
+
+        if (!await waitForSendWindow(campaign)) break;
+
+        // Recorded before sending so a restart can tell this recipient may already have the message
+        recipient.status = 'sending';
+        saveCampaign(campaign);
+
+        let result;
+        try {
+            result = await send(recipient, campaign, sessionId);
+        } catch (error) {
+            console.error(`Error sending to ${recipient.phoneNumber}:`, error);
+            result = { success: false, phoneNumber: recipient.phoneNumber, status: 'error', error: error.message };
+        }
+
+        recordPacedSend(pacing, getLane(campaign, sessionId), result);
+        if (campaign.rotation) {
+            recordOutcome(campaign.rotation, sessionId, result);
+        }
+
+        if (result.status === 'session_not_ready') {
+            recipient.status = 'pending';
+
+            // Another account of the rotation takes this recipient
+            if (campaign.rotation) {
+                i--;
+                continue;
+            }
+
+            campaign.waitingForSession = true;
+            console.log(`Campaign ${campaign.id} is waiting for WhatsApp session ${campaign.sessionId} to be ready`);
+            break;
+        }
+
+        recipient.sessionId = sessionId;
+        recipient.attempts = (recipient.attempts || 0) + 1;
+        recipient.error = result.error || null;
+        recipient.errorType = classifyFailure(result);
+
+        if (recipient.errorType === 'transient' && recipient.attempts <= retry.maxRetries) {
+            recipient.status = 'pending';
+            recipient.nextAttemptAt = new Date(Date.now() + retryDelayMs(retry, recipient.attempts)).toISOString();
+            console.log(`Sending to ${recipient.phoneNumber} failed (${recipient.error}), retry ${recipient.attempts} of ${retry.maxRetries} at ${recipient.nextAttemptAt}`);
+            saveCampaign(campaign);
+            emitRecipientResult(campaign, recipient, result);
+            continue;
+        }
+
+        recipient.status = result.status || (result.success ? 'sent' : 'error');
+        recipient.nextAttemptAt = null;
+        if (result.messageId) {
+            recipient.messageId = result.messageId;
+            recipient.ack = recipient.ack || 'sent';
+        }
+        console.log(`Sent to ${recipient.phoneNumber} (${i + 1}/${total}): ${result.success ? 'Success' : 'Failed'}`);
+
+        recipient.processedAt = new Date().toISOString();
+        saveCampaign(campaign);
+        emitRecipientResult(campaign, recipient, result);
+    }
+}
+
+// Earliest next attempt of a recipient waiting to be retried, in ms, or null
+function getNextRetryTime(campaign) {
+    const times = campaign.recipients
+        .filter(recipient => recipient.status === 'pending' && recipient.nextAttemptAt)
+        .map(recipient => new Date(recipient.nextAttemptAt).getTime());
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+// Send the campaign until every recipient is handled, then wait for and send the
+// retries of transient failures. The loop stops early when the campaign is paused
+// or cancelled. When send reports 'session_not_ready' the campaign stays running and
+// waits for its session to become ready again, at which point recoverCampaigns continues it.
+// send(recipient, campaign, sessionId) sends one message from the given account.
+async function runCampaign(campaign, send) {
+    const isFirstStart = !campaign.startedAt;
+    campaign.status = 'running';
+    campaign.waitingForSession = false;
+    campaign.startedAt = campaign.startedAt || new Date().toISOString();
+    saveCampaign(campaign);
+    activeRuns.set(campaign.id, campaign);
+    emitCampaignStatus(campaign, isFirstStart ? 'campaign_started' : null);
+
+    try {
+        while (campaign.status === 'running') {
+            await sendPendingRecipients(campaign, send);
+            if (campaign.status !== 'running' || campaign.waitingForSession) break;
+
+            const nextRetryAt = getNextRetryTime(campaign);
+            if (nextRetryAt === null) break;
+
+            const waitMs = Math.max(nextRetryAt - Date.now(), 0);
+            if (waitMs >= LONG_WAIT_MS) {
+                setWaiting(campaign, waitMs, 'retry');
+            }
+            await waitWhileRunning(campaign, waitMs);
+            clearWaiting(campaign);
+        }
+
+        if (campaign.status === 'running' && !campaign.waitingForSession) {
+            campaign.status = 'completed';
+        }
+    } catch (error) {
+        console.error(`Campaign ${campaign.id} failed:`, error);
+        campaign.status = 'failed';
+        campaign.error = error.message;
+    } finally {
+        activeRuns.delete(campaign.id);
+    }
+
+    const finished = campaign.status !== 'paused' && campaign.status !== 'running';
+    if (finished) {
+        campaign.finishedAt = new Date().toISOString();
+    }
+    saveCampaign(campaign);
+    emitCampaignStatus(campaign, finished ? 'campaign_finished' : null);
+
+    const counts = countStatuses(campaign.recipients);
+    console.log(`Campaign ${campaign.id} ${campaign.waitingForSession ? 'waiting' : campaign.status}. Success: ${counts.sent}/${campaign.recipients.length}`);
+
+    return campaign;
+}
+
+// Stop a running campaign after the recipient currently being sent to
+function pauseCampaign(id) {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+        throw new Error('Campaign not found');
+    }
+    if (campaign.status !== 'running' && campaign.status !== 'queued') {
+        throw new Error(`Cannot pause a campaign that is ${campaign.status}`);
+    }
+
+    campaign.status = 'paused';
+    campaign.pausedAt = new Date().toISOString();
+    saveCampaign(campaign);
+    emitCampaignStatus(campaign);
+    return campaign;
+}
+
+// Continue a paused campaign with the recipients that were not handled yet
+function resumeCampaign(id, send) {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+        throw new Error('Campaign not found');
+    }
+    if (campaign.status !== 'paused') {
+        throw new Error(`Cannot resume a campaign that is ${campaign.status}`);
+    }
+
+    campaign.pausedAt = null;
+    campaign.error = null;
+    if (campaign.rotation) {
+        resetExclusions(campaign.rotation);
+    }
+
+    // The old loop has not noticed the pause yet, let it carry on
+    if (activeRuns.has(id)) {
+        campaign.status = 'running';
+        saveCampaign(campaign);
+        emitCampaignStatus(campaign);
+        return campaign;
+    }
+
+    runCampaign(campaign, send)
+        .catch(error => console.error(`Error running campaign ${campaign.id}:`, error));
+    return campaign;
+}
+
+// Stop a campaign for good, pending recipients are never messaged
+function cancelCampaign(id) {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+        throw new Error('Campaign not found');
+    }
+    if (!['scheduled', 'queued', 'running', 'paused'].includes(campaign.status)) {
+        throw new Error(`Cannot cancel a campaign that is ${campaign.status}`);
+    }
+
+    campaign.status = 'cancelled';
+    campaign.finishedAt = new Date().toISOString();
+    saveCampaign(campaign);
+
+    // A running send loop reports the end itself once it notices
+    emitCampaignStatus(campaign, activeRuns.has(id) ? null : 'campaign_finished');
+    return campaign;
+}
+
+// New campaign sending the same message, with the same settings, to the recipients
+// of a finished campaign whose send failed. skipReason(phoneNumber) can leave numbers
+// out again, e.g. those that opted out since. Throws when there is nothing to re-send.
+function createFollowUpCampaign(id, skipReason = () => null) {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+        throw new Error('Campaign not found');
+    }
+    if (!['completed', 'cancelled', 'failed'].includes(campaign.status)) {
+        throw new Error(`Cannot re-send a campaign that is ${campaign.status}, wait until it is finished`);
+    }
+
+    const failed = campaign.recipients.filter(recipient => recipient.status === 'error');
+    if (failed.length === 0) {
+        throw new Error('The campaign has no failed recipients');
+    }
+
+    const followUp = createCampaign({
+        recipients: failed.map(recipient => ({
+            phoneNumber: recipient.phoneNumber,
+            variables: recipient.variables,
+            skipReason: skipReason(recipient.phoneNumber)
+        })),
+        message: campaign.message,
+        parts: campaign.parts,
+        variation: campaign.variation ? { ...campaign.variation, nextIndex: 0 } : null,
+        mediaPath: campaign.mediaPath,
+        pacing: getPacing(campaign),
+        retry: campaign.retry,
+        sendWindow: campaign.sendWindow,
+        sessionId: campaign.sessionId,
+        rotation: campaign.rotation ? createRotation({ sessionIds: campaign.rotation.sessionIds }) : null,
+        audienceId: campaign.audienceId,
+        template: campaign.template,
+        followUpOf: campaign.id
+    });
+
+    campaign.followUps = [...(campaign.followUps || []), followUp.id];
+    saveCampaign(campaign);
+    return followUp;
+}
+
+// Whether a campaign sends from the given session. Campaigns from before sessions
+// existed belong to 'default'.
+function usesSession(campaign, sessionId) {
+    if (campaign.rotation) {
+        return campaign.rotation.sessionIds.includes(sessionId);
+    }
+    return (campaign.sessionId || 'default') === sessionId;
+}
+
+// Start scheduled campaigns whose time has come. Called periodically; a campaign
+// whose session is not ready yet waits for it like any running campaign.
+function startDueCampaigns(send) {
+    const now = Date.now();
+    const due = listCampaigns()
+        .filter(summary => summary.status === 'scheduled' && new Date(summary.scheduledAt).getTime() <= now);
+
+    due.forEach(summary => {
+        const campaign = getCampaign(summary.id);
+        console.log(`Starting scheduled campaign ${campaign.id}`);
+
+        runCampaign(campaign, send)
+            .catch(error => console.error(`Error running campaign ${campaign.id}:`, error));
+    });
+
+    return due.length;
+}
+
+// Pick up campaigns that were still running when the process stopped, or that
+// were waiting for their session. Safe to call on every 'ready' event, campaigns
+// already being sent are skipped. With a sessionId only that session's campaigns
+// are picked up (campaigns from before sessions existed belong to 'default').
+function recoverCampaigns(send, sessionId = null) {
+    const unfinished = listCampaigns()
+        .filter(summary => (summary.status === 'running' || summary.status === 'queued') && !activeRuns.has(summary.id))
+        .filter(summary => !sessionId || usesSession(summary, sessionId));
+
+    unfinished.forEach(summary => {
+        const campaign = getCampaign(summary.id);
+
+        // The process stopped while these were being sent, so they may have the
+        // message already. Never send twice, flag them for the operator instead.
+        campaign.recipients
+            .filter(recipient => recipient.status === 'sending')
+            .forEach(recipient => {
+                recipient.status = 'error';
+                recipient.error = 'Interrupted by a restart while sending, not retried to avoid a duplicate message';
+                recipient.processedAt = new Date().toISOString();
+            });
+
+        const remaining = campaign.recipients.filter(recipient => recipient.status === 'pending').length;
+        console.log(`Resuming campaign ${campaign.id} with ${remaining} remaining recipients`);
+
+        runCampaign(campaign, send)
+            .catch(error => console.error(`Error running campaign ${campaign.id}:`, error));
+    });
+
+    return unfinished.length;
+}
+
+module.exports = {
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    summarizeCampaign,
+    recordReply,
+    recordAck,
+    runCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    createFollowUpCampaign,
+    recoverCampaigns,
+    startDueCampaigns
+};
@@ -0,0 +1,235 @@
+// Contact and group member exports. The same list of contacts can be written as an
+// Excel workbook, CSV, JSON or vCard file with a chosen set of columns, and several
+// groups can be written into one workbook with a sheet per group.
+
+const fs = require('fs-extra');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['xlsx', 'csv', 'json', 'vcf'];
+
+// Columns that can be exported. value(contact) gives the cell value, groups is a
+// list of group names (joined with commas outside JSON).
+const EXPORT_COLUMNS = [
+    { key: 'name', header: 'Name', width: 30 },
+    { key: 'number', header: 'Number', width: 20 },
+    { key: 'isMyContact', header: 'Is Saved Contact', width: 15 },
+    { key: 'isBusiness', header: 'Is Business', width: 15 },
+    { key: 'id', header: 'WhatsApp ID', width: 40 },
+    { key: 'role', header: 'Group Role', width: 15, value: groupRole },
+    { key: 'about', header: 'About', width: 40 },
+    { key: 'groups', header: 'Groups', width: 50, value: contact => contact.groups || [] }
+];
+
+// Columns of an export that does not name any, the ones exports always had
+const DEFAULT_COLUMNS = ['name', 'number', 'isMyContact', 'isBusiness', 'id'];
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const MAX_FILE_NAME_LENGTH = 80;
+
+const outputDir = path.join(__dirname, '..', 'exports');
+
+// Role of a group member, empty for contacts that are not from a group
+function groupRole(contact) {
+    if (contact.isSuperAdmin) return 'superadmin';
+    if (contact.isAdmin) return 'admin';
+    return contact.isAdmin === undefined ? '' : 'member';
+}
+
+function getColumn(key) {
+    return EXPORT_COLUMNS.find(column => column.key === key);
+}
+
+function columnValue(contact, column) {
+    const value = column.value ? column.value(contact) : contact[column.key];
+    return value === undefined ? null : value;
+}
+
+// Value for one cell of a CSV or Excel row
+function cellValue(contact, column) {
+    const value = columnValue(contact, column);
+    return Array.isArray(value) ? value.join(', ') : value;
+}
+
+// Check the format and columns asked for, e.g. from ?format=csv&columns=name,number,role.
+// Columns can be a comma-separated string or an array. Throws an Error describing invalid input.
+function parseExportOptions({ format, columns } = {}) {
+    const exportFormat = String(format || 'xlsx').trim().toLowerCase();
+    if (!EXPORT_FORMATS.includes(exportFormat)) {
+        throw new Error(`Unknown export format "${format}", use one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    let keys = Array.isArray(columns) ? columns : String(columns || '').split(',');
+    keys = keys.map(key => String(key).trim()).filter(key => key);
+    const unknown = keys.filter(key => !getColumn(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export columns: ${unknown.join(', ')}`);
+    }
+
+    return {
+        format: exportFormat,
+        columns: keys.length > 0 ? [...new Set(keys)] : DEFAULT_COLUMNS
+    };
+}
+
+// File name for an export, e.g. "group-Família_Silva-1742570046823.csv". Letters of any
+// script are kept, only characters that are not allowed in file names or break the
+// download URL are dropped.
+function exportFileName(prefix, name, format) {
+    let safeName = '';
+    if (name) {
+        safeName = Array.from(String(name).normalize('NFC')
+            .replace(/[\u0000-\u001f\u007f/\\?%*:|"<>#]/g, '')
+            .trim()
+            .replace(/\s+/g, '_')
+            .replace(/^\.+/, ''))
+            .slice(0, MAX_FILE_NAME_LENGTH)
+            .join('');
+    }
+    return `${[prefix, safeName, Date.now()].filter(part => part).join('-')}.${format}`;
+}
+
+// Escape a CSV field. Text that Excel would read as a formula gets a leading quote.
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escape a vCard property value
+function vcardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/[,;]/g, match => `\\${match}`);
+}
+
+// vCard of one contact. Name and number are always included, the about text and
+// groups when those columns are chosen.
+function contactVcard(contact, columns) {
+    const name = contact.name && contact.name !== 'Unknown' ? contact.name : `+${contact.number}`;
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${vcardText(name)}`,
+        `N:${vcardText(name)};;;;`,
+        `TEL;TYPE=CELL;waid=${contact.number}:+${contact.number}`
+    ];
+    if (columns.includes('about') && contact.about) {
+        lines.push(`NOTE:${vcardText(contact.about)}`);
+    }
+    if (columns.includes('groups') && contact.groups && contact.groups.length > 0) {
+        lines.push(`CATEGORIES:${contact.groups.map(vcardText).join(',')}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+}
+
+function addContactsSheet(workbook, name, contacts, columns) {
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.columns = columns.map(key => {
+        const column = getColumn(key);
+        return { header: column.header, key: column.key, width: column.width };
+    });
+
+    contacts.forEach(contact => {
+        const row = {};
+        columns.forEach(key => {
+            row[key] = cellValue(contact, getColumn(key));
+        });
+        worksheet.addRow(row);
+    });
+    return worksheet;
+}
+
+// Write contacts to exports/ in the given format with the given columns, returns the
+// file path. Contacts without a visible phone number are left out of vCard files.
+async function writeContactsExport(contacts, filename, { format, columns }) {
+    fs.ensureDirSync(outputDir);
+    const filePath = path.join(outputDir, filename);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        addContactsSheet(workbook, 'Contacts', contacts, columns);
+        await workbook.xlsx.writeFile(filePath);
+    } else if (format === 'csv') {
+        const rows = [columns.map(key => csvField(getColumn(key).header)).join(',')];
+        contacts.forEach(contact => {
+            rows.push(columns.map(key => csvField(cellValue(contact, getColumn(key)))).join(','));
+        });
+        // The byte order mark makes Excel read the file as UTF-8
+        await fs.writeFile(filePath, '\ufeff' + rows.join('\r\n') + '\r\n', 'utf8');
+    } else if (format === 'json') {
+        const records = contacts.map(contact => {
+            const record = {};
+            columns.forEach(key => {
+                record[key] = columnValue(contact, getColumn(key));
+            });
+            return record;
+        });
+        await fs.writeFile(filePath, JSON.stringify(records, null, 2), 'utf8');
+    } else if (format === 'vcf') {
+        const cards = contacts
+            .filter(contact => String(contact.id).endsWith('@c.us') && contact.number)
+            .map(contact => contactVcard(contact, columns));
+        await fs.writeFile(filePath, cards.join('\r\n') + '\r\n', 'utf8');
+    }
+
+    return filePath;
+}
+
+// Shorten text to at most length UTF-16 units (what Excel counts) without cutting
+// an emoji or other character in half
+function truncate(text, length) {
+    let result = '';
+    for (const character of text) {
+        if (result.length + character.length > length) break;
+        result += character;
+    }
+    return result;
+}
+
+// Sheet name Excel accepts for a group, unique within the workbook
+function sheetName(name, usedNames) {
+    const base = String(name || '').replace(/[[\]:*?/\\]/g, ' ').replace(/^'+|'+$/g, '').trim() || 'Group';
+    let candidate = truncate(base, MAX_SHEET_NAME_LENGTH);
+    for (let number = 2; usedNames.has(candidate.toLowerCase()); number++) {
+        const suffix = ` (${number})`;
+        candidate = truncate(base, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Write several groups into one Excel workbook in exports/, one sheet per group.
+// groups is a list of { name, contacts }. Returns the file path.
+async function writeGroupsWorkbook(groups, filename, columns) {
+    const workbook = new ExcelJS.Workbook();
+    const usedNames = new Set();
+    groups.forEach(group => {
+        addContactsSheet(workbook, sheetName(group.name, usedNames), group.contacts, columns);
+    });
+
+    fs.ensureDirSync(outputDir);
+    const filePath = path.join(outputDir, filename);
+    await workbook.xlsx.writeFile(filePath);
+
+    return filePath;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_COLUMNS,
+    parseExportOptions,
+    exportFileName,
+    writeContactsExport,
+    writeGroupsWorkbook
+};
@@ -0,0 +1,167 @@
+// Single messages sent by other systems through POST /api/messages, such as order
+// confirmations and reminders. Each request is stored with its outcome, so a client
+// that retries with the same idempotency key gets the first result back instead of
+// sending the message twice.
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+// An idempotency key is remembered this long, after that it can be used again
+const IDEMPOTENCY_HOURS = 24;
+
+// Messages are kept this long for looking up their status
+const KEEP_DAYS = 30;
+
+const MAX_KEY_LENGTH = 255;
+
+const messagesFile = dataPath('direct-messages.json');
+let messages = null;
+
+// Messages still queued when the store is loaded were being sent when the server
+// stopped. Nothing resumes them, so they are marked interrupted: whether WhatsApp got
+// the message is unknown.
+function loadMessages() {
+    if (!messages) {
+        const since = Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000;
+        let interrupted = 0;
+        messages = readJson(messagesFile, {});
+        Object.keys(messages).forEach(id => {
+            const record = messages[id];
+            if (new Date(record.createdAt).getTime() < since) {
+                delete messages[id];
+            } else if (record.status === 'queued') {
+                record.status = 'interrupted';
+                record.error = 'The server restarted while the message was being sent, it may not have been delivered';
+                interrupted++;
+            }
+        });
+        if (interrupted > 0) {
+            console.log(`Marked ${interrupted} queued API messages as interrupted`);
+            writeJsonAtomic(messagesFile, messages);
+        }
+    }
+    return messages;
+}
+
+function saveMessages() {
+    writeJsonAtomic(messagesFile, loadMessages());
+}
+
+function generateId() {
+    return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Check an idempotency key from request input, returns null when none was given.
+// Throws an Error describing invalid input.
+function validateIdempotencyKey(key) {
+    if (key === undefined || key === null || key === '') {
+        return null;
+    }
+    const value = String(key).trim();
+    if (!value || value.length > MAX_KEY_LENGTH) {
+        throw new Error(`Idempotency key must be 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+    return value;
+}
+
+// Hash of what a request asks for, to tell a retry from a different request that
+// reuses the same idempotency key
+function fingerprintRequest(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+// Message an earlier request with this key and user created, within the idempotency
+// window, or null
+function findByIdempotencyKey(userId, key) {
+    if (!key) {
+        return null;
+    }
+    const since = Date.now() - IDEMPOTENCY_HOURS * 60 * 60 * 1000;
+    return Object.values(loadMessages()).find(message => message.idempotencyKey === key
+        && message.userId === userId
+        && new Date(message.createdAt).getTime() >= since) || null;
+}
+
+// Store a new message as queued
+function createDirectMessage({ idempotencyKey, fingerprint, userId, phoneNumber, message, sessionId }) {
+    const record = {
+        id: generateId(),
+        idempotencyKey: idempotencyKey || null,
+        fingerprint: fingerprint,
+        userId: userId,
+        phoneNumber: phoneNumber,
+        message: message,
+        sessionId: sessionId,
+        status: 'queued',
+        messageId: null,
+        error: null,
+        ack: null,
+        createdAt: new Date().toISOString(),
+        sentAt: null,
+        deliveredAt: null,
+        readAt: null
+    };
+    loadMessages()[record.id] = record;
+    saveMessages();
+    return record;
+}
+
+function getDirectMessage(id) {
+    return loadMessages()[id] || null;
+}
+
+// Store the outcome of sending, result is what sendMessage returned
+function recordDirectResult(id, result) {
+    const record = getDirectMessage(id);
+    if (!record) {
+        return null;
+    }
+
+    record.status = result.status;
+    record.error = result.error || null;
+    record.messageId = result.messageId || null;
+    if (result.status === 'sent') {
+        record.sentAt = new Date().toISOString();
+        record.ack = 'sent';
+    }
+    saveMessages();
+    return record;
+}
+
+// Record a delivery or read receipt, receipts only move forward
+function recordDirectAck(id, ack, at = new Date().toISOString()) {
+    const record = getDirectMessage(id);
+    if (!record) {
+        return false;
+    }
+
+    const order = ['sent', 'delivered', 'read', 'played'];
+    if (order.indexOf(ack) > order.indexOf(record.ack)) {
+        record.ack = ack;
+    }
+    if ((ack === 'delivered' || ack === 'read' || ack === 'played') && !record.deliveredAt) {
+        record.deliveredAt = at;
+    }
+    if ((ack === 'read' || ack === 'played') && !record.readAt) {
+        record.readAt = at;
+    }
+    saveMessages();
+    return true;
+}
+
+// Message as returned by the API, without the internal fingerprint
+function summarizeDirectMessage(record) {
+    const { fingerprint, ...summary } = record;
+    return summary;
+}
+
+module.exports = {
+    validateIdempotencyKey,
+    fingerprintRequest,
+    findByIdempotencyKey,
+    createDirectMessage,
+    getDirectMessage,
+    recordDirectResult,
+    recordDirectAck,
+    summarizeDirectMessage
+};
@@ -0,0 +1,157 @@
+// Inbox of incoming WhatsApp messages. Each conversation is kept per number and
+// linked to the campaign that last messaged that number, so replies can be
+// traced back to the blast that caused them.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const inboxDir = dataPath('inbox');
+fs.ensureDirSync(inboxDir);
+
+// Campaign and account that last messaged each number, written on every campaign send
+const lastContactFile = dataPath('last-contacted.json');
+let lastContacts = null;
+
+function loadLastContacts() {
+    if (!lastContacts) {
+        lastContacts = readJson(lastContactFile, {});
+    }
+    return lastContacts;
+}
+
+// Numbers are stored as digits, as the part before @c.us in WhatsApp IDs
+function toNumber(phoneNumber) {
+    return String(phoneNumber || '').split('@')[0].replace(/[^0-9]/g, '');
+}
+
+function conversationPath(phoneNumber) {
+    return path.join(inboxDir, `${phoneNumber}.json`);
+}
+
+function saveConversation(conversation) {
+    writeJsonAtomic(conversationPath(conversation.phoneNumber), conversation);
+}
+
+// Remember that a campaign messaged this number, for linking the replies
+function recordCampaignContact(phoneNumber, { campaignId, sessionId }) {
+    const contacts = loadLastContacts();
+    contacts[toNumber(phoneNumber)] = { campaignId, sessionId, sentAt: new Date().toISOString() };
+    writeJsonAtomic(lastContactFile, contacts);
+}
+
+function getLastContact(phoneNumber) {
+    return loadLastContacts()[toNumber(phoneNumber)] || null;
+}
+
+// Load a conversation with its messages, returns null if there is none
+function getConversation(phoneNumber) {
+    const number = toNumber(phoneNumber);
+    if (!number) {
+        return null;
+    }
+    return readJson(conversationPath(number), null);
+}
+
+function loadOrCreateConversation(phoneNumber) {
+    const number = toNumber(phoneNumber);
+    return getConversation(number) || {
+        phoneNumber: number,
+        name: null,
+        sessionId: null,
+        campaignId: null,
+        unreadCount: 0,
+        lastMessageAt: null,
+        messages: []
+    };
+}
+
+// Store an incoming message. Returns the stored message, which carries the
+// campaign it is a reply to (or null when no campaign messaged this number).
+function addIncomingMessage({ id, from, name, body, type, hasMedia, timestamp, sessionId }) {
+    const conversation = loadOrCreateConversation(from);
+
+    // WhatsApp can deliver the same message again after a reconnect
+    if (id && conversation.messages.some(message => message.id === id)) {
+        return null;
+    }
+
+    const lastContact = getLastContact(from);
+    const message = {
+        id: id || null,
+        direction: 'in',
+        body: body || '',
+        type: type || 'chat',
+        hasMedia: !!hasMedia,
+        timestamp: timestamp || new Date().toISOString(),
+        sessionId: sessionId,
+        campaignId: lastContact ? lastContact.campaignId : null
+    };
+
+    conversation.messages.push(message);
+    conversation.name = name || conversation.name;
+    conversation.sessionId = sessionId;
+    conversation.campaignId = message.campaignId || conversation.campaignId;
+    conversation.unreadCount++;
+    conversation.lastMessageAt = message.timestamp;
+    saveConversation(conversation);
+    return message;
+}
+
+// Store a message sent in a conversation, source is 'inbox' or 'auto_reply'
+function addOutgoingMessage(phoneNumber, { body, sessionId, source = 'inbox' }) {
+    const conversation = loadOrCreateConversation(phoneNumber);
+    const message = {
+        id: null,
+        direction: 'out',
+        body: body,
+        type: 'chat',
+        hasMedia: false,
+        timestamp: new Date().toISOString(),
+        sessionId: sessionId,
+        campaignId: null,
+        source: source
+    };
+
+    conversation.messages.push(message);
+    conversation.lastMessageAt = message.timestamp;
+    saveConversation(conversation);
+    return message;
+}
+
+function markConversationRead(phoneNumber) {
+    const conversation = getConversation(phoneNumber);
+    if (conversation && conversation.unreadCount > 0) {
+        conversation.unreadCount = 0;
+        saveConversation(conversation);
+    }
+    return conversation;
+}
+
+// Conversation without its messages, with the latest one for the list
+function summarizeConversation(conversation) {
+    const { messages, ...summary } = conversation;
+    return { ...summary, messageCount: messages.length, lastMessage: messages[messages.length - 1] || null };
+}
+
+// Conversations with the most recent first, optionally only unread ones or those of a campaign
+function listConversations({ unreadOnly = false, campaignId = null } = {}) {
+    return fs.readdirSync(inboxDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJson(path.join(inboxDir, file), null))
+        .filter(conversation => conversation
+            && (!unreadOnly || conversation.unreadCount > 0)
+            && (!campaignId || conversation.messages.some(message => message.campaignId === campaignId)))
+        .map(summarizeConversation)
+        .sort((a, b) => String(b.lastMessageAt).localeCompare(String(a.lastMessageAt)));
+}
+
+module.exports = {
+    recordCampaignContact,
+    getLastContact,
+    getConversation,
+    addIncomingMessage,
+    addOutgoingMessage,
+    markConversationRead,
+    listConversations
+};
@@ -0,0 +1,77 @@
+// Live events pushed to the browser. Modules report what happens as it happens (a
+// new QR code, an account going offline, a campaign message sent) with emitEvent,
+// and GET /api/events streams them to the page as Server-Sent Events. Recent events
+// are kept for a while, so a browser that reconnects gets the ones it missed.
+
+const { EventEmitter } = require('events');
+
+// Events kept for browsers that reconnect with Last-Event-ID
+const RECENT_EVENTS = 500;
+
+// A comment is sent this often so proxies do not close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let lastEventId = 0;
+
+// Report an event to every listener. type is e.g. 'qr', 'ready' or 'recipient_result'.
+function emitEvent(type, data) {
+    const event = { id: ++lastEventId, type: type, at: new Date().toISOString(), data: data };
+    recentEvents.push(event);
+    if (recentEvents.length > RECENT_EVENTS) {
+        recentEvents.shift();
+    }
+    emitter.emit('event', event);
+    return event;
+}
+
+// Call listener(event) for every event from now on, returns a function that stops it
+function onEvent(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ at: event.at, ...event.data })}\n\n`);
+}
+
+// Turn a request into an event stream. canReceive(event) decides which events this
+// client gets, e.g. QR codes only go to admins.
+function openEventStream(req, res, canReceive = () => true) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Catch up on what was missed while reconnecting
+    const lastSeen = parseInt(req.get('last-event-id'));
+    if (!isNaN(lastSeen) && lastSeen <= lastEventId) {
+        recentEvents
+            .filter(event => event.id > lastSeen && canReceive(event))
+            .forEach(event => writeEvent(res, event));
+    }
+
+    const stop = onEvent(event => {
+        if (canReceive(event)) {
+            writeEvent(res, event);
+        }
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stop();
+    });
+}
+
+module.exports = {
+    emitEvent,
+    onEvent,
+    openEventStream
+};
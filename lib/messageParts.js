@@ -0,0 +1,342 @@
+// Multi-part messages: a campaign can send text, images, videos, documents,
+// location pins and contact cards to each recipient, one part after the other.
+//
+// Stored part shapes:
+//   { type: 'text', text, linkPreview }
+//   { type: 'media', path, mimetype, filename, caption, asDocument, url }
+//   { type: 'location', latitude, longitude, name, address }
+//   { type: 'contact', name, phoneNumber }
+// Text and captions can use the same {{placeholders}} as a plain message.
+
+const fs = require('fs-extra');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { MessageMedia, Location } = require('whatsapp-web.js');
+const { renderMessage } = require('./template');
+const { spin } = require('./spintax');
+const { normalizePhoneNumber } = require('./phone');
+
+// Inline media types, everything else goes out as a document
+const PREVIEW_MIME_PREFIXES = ['image/', 'video/', 'audio/'];
+
+// Upper limit on parts per message, to keep one recipient from taking minutes
+const MAX_PARTS = 10;
+
+// Media downloaded from a URL: largest file, longest time for the whole download
+// and most redirects followed
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const MAX_REDIRECTS = 3;
+
+// Addresses media URLs may not point to: this machine, private networks and
+// link-local ranges such as the metadata service of cloud servers
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+    .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isPreviewable(mimetype) {
+    return PREVIEW_MIME_PREFIXES.some(prefix => String(mimetype || '').startsWith(prefix));
+}
+
+function optionalText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+// Find the uploaded file a media part refers to, by position or original file name
+function findAttachment(file, attachments) {
+    if (typeof file === 'number' || /^\d+$/.test(String(file))) {
+        return attachments[Number(file)] || null;
+    }
+    return attachments.find(attachment => attachment.originalname === file) || null;
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockedAddresses.check(address, family);
+}
+
+// dns.lookup for media downloads, fails for host names that resolve to a blocked
+// address. Checking at connect time means a host cannot pass the check and then
+// resolve to another address.
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} is a local or private address (${blocked.address})`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// GET a media URL, following redirects. Resolves with the response once it
+// answered 200, the body is left for the caller to read.
+async function requestMedia(url, { signal, allowPrivateHosts }, redirectsLeft = MAX_REDIRECTS) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('not a valid URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('only http and https URLs can be downloaded');
+    }
+    // Addresses written in the URL are not looked up, so they are checked here
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateHosts && net.isIP(host) && isBlockedAddress(host)) {
+        throw new Error(`${host} is a local or private address`);
+    }
+
+    const options = { signal: signal };
+    if (!allowPrivateHosts) {
+        options.lookup = lookupPublicAddress;
+    }
+    const response = await new Promise((resolve, reject) => {
+        const client = parsed.protocol === 'https:' ? https : http;
+        client.get(parsed, options, resolve).on('error', reject);
+    });
+
+    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirectsLeft === 0) {
+            throw new Error('too many redirects');
+        }
+        return requestMedia(new URL(response.headers.location, parsed).toString(), { signal, allowPrivateHosts }, redirectsLeft - 1);
+    }
+    if (response.statusCode !== 200) {
+        response.resume();
+        throw new Error(`HTTP ${response.statusCode}`);
+    }
+    return response;
+}
+
+// File name a download is saved under, from Content-Disposition or the URL
+function downloadFileName(response, url) {
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename="?([^";]+)"?/i);
+    return (match && match[1].trim()) || path.basename(new URL(url).pathname) || 'download';
+}
+
+// Download media from a URL once, into the uploads directory, so every recipient
+// gets the same file and a restarted campaign does not depend on the URL anymore.
+// Only public http(s) addresses are fetched, and files over maxBytes are refused.
+async function downloadMedia(url, downloadDir, { maxBytes = MAX_DOWNLOAD_BYTES, allowPrivateHosts = false } = {}) {
+    const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+    const tooLarge = () => new Error(`the file is larger than ${maxBytes} bytes`);
+    let filePath = null;
+    try {
+        const response = await requestMedia(url, { signal, allowPrivateHosts });
+        if (Number(response.headers['content-length']) > maxBytes) {
+            response.destroy();
+            throw tooLarge();
+        }
+
+        const filename = downloadFileName(response, url);
+        filePath = path.join(downloadDir, `${Date.now()}-${filename.replace(/[^\w.-]/g, '_')}`);
+
+        // Content-Length can be missing or wrong, so the bytes are counted as they come
+        let received = 0;
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                callback(received > maxBytes ? tooLarge() : null, chunk);
+            }
+        });
+        await pipeline(response, limit, fs.createWriteStream(filePath));
+
+        const mimetype = String(response.headers['content-type'] || '').split(';')[0].trim() || 'application/octet-stream';
+        return { path: filePath, mimetype: mimetype, filename: filename };
+    } catch (error) {
+        if (filePath) {
+            await fs.remove(filePath);
+        }
+        if (signal.aborted) {
+            throw new Error(`the download took longer than ${DOWNLOAD_TIMEOUT_MS / 1000} s`);
+        }
+        throw error;
+    }
+}
+
+// Validate the parts sent to /api/send and turn them into their stored form.
+// Media parts name an uploaded attachment (file: index or original name) or a url.
+// Throws an Error describing the first invalid part.
+async function prepareParts(rawParts, attachments = [], downloadDir) {
+    if (!Array.isArray(rawParts) || rawParts.length === 0) {
+        throw new Error('parts must be a non-empty list');
+    }
+    if (rawParts.length > MAX_PARTS) {
+        throw new Error(`A message can have at most ${MAX_PARTS} parts`);
+    }
+
+    const parts = [];
+    for (const [index, raw] of rawParts.entries()) {
+        const label = `Part ${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(`${label} is not an object`);
+        }
+
+        if (raw.type === 'text') {
+            if (!optionalText(raw.text).trim()) {
+                throw new Error(`${label} has no text`);
+            }
+            parts.push({ type: 'text', text: String(raw.text), linkPreview: raw.linkPreview !== false });
+        } else if (raw.type === 'media') {
+            let media;
+            if (raw.url) {
+                try {
+                    media = await downloadMedia(raw.url, downloadDir);
+                } catch (error) {
+                    throw new Error(`${label}: could not download ${raw.url} (${error.message})`);
+                }
+            } else {
+                const attachment = findAttachment(raw.file, attachments);
+                if (!attachment) {
+                    throw new Error(`${label}: no uploaded attachment "${raw.file}"`);
+                }
+                media = { path: attachment.path, mimetype: attachment.mimetype, filename: attachment.originalname };
+            }
+
+            parts.push({
+                type: 'media',
+                ...media,
+                caption: optionalText(raw.caption),
+                // PDFs and other files are sent as documents unless asked otherwise
+                asDocument: raw.asDocument !== undefined ? !!raw.asDocument : !isPreviewable(media.mimetype),
+                url: raw.url || null
+            });
+        } else if (raw.type === 'location') {
+            const latitude = Number(raw.latitude);
+            const longitude = Number(raw.longitude);
+            if (raw.latitude === '' || isNaN(latitude) || latitude < -90 || latitude > 90
+                || raw.longitude === '' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+                throw new Error(`${label}: latitude must be between -90 and 90 and longitude between -180 and 180`);
+            }
+            parts.push({
+                type: 'location',
+                latitude: latitude,
+                longitude: longitude,
+                name: optionalText(raw.name),
+                address: optionalText(raw.address)
+            });
+        } else if (raw.type === 'contact') {
+            const number = normalizePhoneNumber(raw.phoneNumber);
+            if (!optionalText(raw.name).trim() || !number.valid) {
+                throw new Error(`${label}: a contact card needs a name and a valid phone number`);
+            }
+            parts.push({ type: 'contact', name: String(raw.name).trim(), phoneNumber: number.phoneNumber });
+        } else {
+            throw new Error(`${label} has unknown type "${raw.type}", use text, media, location or contact`);
+        }
+    }
+
+    return parts;
+}
+
+// The parts of a plain message with an optional attachment, the way it was always sent
+function partsFromMessage(message, mediaPath = null) {
+    if (mediaPath) {
+        return [{ type: 'media', path: mediaPath, caption: message }];
+    }
+    return [{ type: 'text', text: message }];
+}
+
+// All the template text of the parts, used to check placeholders against the recipients
+function templateText(parts) {
+    return parts
+        .map(part => part.type === 'text' ? part.text : (part.caption || ''))
+        .filter(text => text)
+        .join('\n');
+}
+
+// Fill in the placeholders of the text parts and captions for one recipient
+function renderParts(parts, variables) {
+    return parts.map(part => {
+        if (part.type === 'text') {
+            return { ...part, text: renderMessage(part.text, variables) };
+        }
+        if (part.type === 'media' && part.caption) {
+            return { ...part, caption: renderMessage(part.caption, variables) };
+        }
+        return part;
+    });
+}
+
+// Pick the spintax options of the text parts and captions, once per recipient
+function spinParts(parts) {
+    return parts.map(part => {
+        if (part.type === 'text') {
+            return { ...part, text: spin(part.text) };
+        }
+        if (part.type === 'media' && part.caption) {
+            return { ...part, caption: spin(part.caption) };
+        }
+        return part;
+    });
+}
+
+// Contact card in the vCard format WhatsApp turns into a contact message
+function toVCard(part) {
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${part.name}`,
+        `TEL;type=CELL;waid=${part.phoneNumber}:+${part.phoneNumber}`,
+        'END:VCARD'
+    ].join('\n');
+}
+
+// Content and options for client.sendMessage for one part
+function toMessageContent(part) {
+    if (part.type === 'media') {
+        const media = part.mimetype
+            ? new MessageMedia(part.mimetype, fs.readFileSync(part.path, { encoding: 'base64' }), part.filename)
+            : MessageMedia.fromFilePath(part.path);
+        return {
+            content: media,
+            options: { caption: part.caption || undefined, sendMediaAsDocument: !!part.asDocument }
+        };
+    }
+    if (part.type === 'location') {
+        return {
+            content: new Location(part.latitude, part.longitude, { name: part.name || undefined, address: part.address || undefined }),
+            options: {}
+        };
+    }
+    if (part.type === 'contact') {
+        return { content: toVCard(part), options: { parseVCards: true } };
+    }
+    return { content: part.text, options: { linkPreview: part.linkPreview !== false } };
+}
+
+// Short description of the parts, e.g. "text, image, document, location"
+function describeParts(parts) {
+    return parts.map(part => {
+        if (part.type !== 'media') return part.type;
+        if (part.asDocument) return 'document';
+        return String(part.mimetype || 'media').split('/')[0];
+    }).join(', ');
+}
+
+module.exports = {
+    downloadMedia,
+    prepareParts,
+    partsFromMessage,
+    templateText,
+    renderParts,
+    spinParts,
+    toMessageContent,
+    describeParts
+};
@@ -0,0 +1,143 @@
+// Library of reusable message templates. Every edit adds a new version and old
+// versions are kept, so a campaign can record exactly which text it sent.
+// Deleted templates are hidden from the list but stay readable for the same reason.
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const templatesDir = dataPath('templates');
+fs.ensureDirSync(templatesDir);
+
+function templatePath(id) {
+    return path.join(templatesDir, `${id}.json`);
+}
+
+function saveTemplate(template) {
+    writeJsonAtomic(templatePath(template.id), template);
+}
+
+function normalizeCategory(category) {
+    return String(category || '').trim();
+}
+
+// Version snapshot: name, category, body and default media at the time of the edit.
+// media is { path, name } of an uploaded file or null.
+function createVersion(number, { name, category, body, media }) {
+    return {
+        version: number,
+        name: name,
+        category: normalizeCategory(category),
+        body: body,
+        mediaPath: media ? media.path : null,
+        mediaName: media ? media.name : null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+function createTemplate({ name, category = '', body, media = null }) {
+    const template = {
+        id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        createdAt: new Date().toISOString(),
+        deletedAt: null,
+        versions: [createVersion(1, { name, category, body, media })]
+    };
+
+    saveTemplate(template);
+    return template;
+}
+
+// Load a template with all its versions, returns null if it does not exist
+function getTemplate(id) {
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+        return null;
+    }
+    return readJson(templatePath(id), null);
+}
+
+// A specific version of a template, or the latest one without a version number
+function getTemplateVersion(template, version = null) {
+    if (!version) {
+        return template.versions[template.versions.length - 1];
+    }
+    return template.versions.find(entry => entry.version === Number(version)) || null;
+}
+
+// Template with its latest version's fields, without the history
+function summarizeTemplate(template) {
+    const latest = getTemplateVersion(template);
+    return {
+        id: template.id,
+        name: latest.name,
+        category: latest.category,
+        body: latest.body,
+        mediaName: latest.mediaName,
+        version: latest.version,
+        versionCount: template.versions.length,
+        createdAt: template.createdAt,
+        updatedAt: latest.createdAt,
+        deletedAt: template.deletedAt
+    };
+}
+
+// Templates that are not deleted, sorted by name, optionally of one category
+function listTemplates({ category = null } = {}) {
+    const wanted = category ? normalizeCategory(category).toLowerCase() : null;
+
+    return fs.readdirSync(templatesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJson(path.join(templatesDir, file), null))
+        .filter(template => template && !template.deletedAt)
+        .map(summarizeTemplate)
+        .filter(template => !wanted || template.category.toLowerCase() === wanted)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Save an edit as a new version. Fields that are not given keep their current
+// value; media keeps the current file unless a new one is given or removeMedia is set.
+function updateTemplate(id, { name, category, body, media = null, removeMedia = false }) {
+    const template = getTemplate(id);
+    if (!template || template.deletedAt) {
+        throw new Error('Template not found');
+    }
+
+    const latest = getTemplateVersion(template);
+    let nextMedia = latest.mediaPath ? { path: latest.mediaPath, name: latest.mediaName } : null;
+    if (media) {
+        nextMedia = media;
+    } else if (removeMedia) {
+        nextMedia = null;
+    }
+
+    template.versions.push(createVersion(latest.version + 1, {
+        name: name !== undefined ? name : latest.name,
+        category: category !== undefined ? category : latest.category,
+        body: body !== undefined ? body : latest.body,
+        media: nextMedia
+    }));
+    saveTemplate(template);
+    return template;
+}
+
+// Hide a template from the library, returns false if it did not exist
+function deleteTemplate(id) {
+    const template = getTemplate(id);
+    if (!template || template.deletedAt) {
+        return false;
+    }
+
+    template.deletedAt = new Date().toISOString();
+    saveTemplate(template);
+    return true;
+}
+
+module.exports = {
+    createTemplate,
+    getTemplate,
+    getTemplateVersion,
+    summarizeTemplate,
+    listTemplates,
+    updateTemplate,
+    deleteTemplate
+};
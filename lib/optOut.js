@@ -0,0 +1,170 @@
+// Do-not-contact list. Numbers on it are never messaged by a campaign.
+
+const fs = require('fs-extra');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+const { normalizePhoneNumber } = require('./phone');
+
+const optOutFile = dataPath('opt-outs.json');
+
+// Replies that put the sender on the list, compared case-insensitively against the whole message.
+// Can be replaced with a comma-separated OPT_OUT_KEYWORDS environment variable.
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'STOP,STOP ALL,UNSUBSCRIBE,OPT OUT,OPT-OUT,OPTOUT')
+    .split(',')
+    .map(keyword => keyword.trim().toUpperCase())
+    .filter(keyword => keyword);
+
+// Entries keyed by number, loaded once and written back on every change
+let optOuts = null;
+
+function load() {
+    if (!optOuts) {
+        optOuts = new Map(readJson(optOutFile, []).map(entry => [entry.phoneNumber, entry]));
+    }
+    return optOuts;
+}
+
+function save() {
+    writeJsonAtomic(optOutFile, [...load().values()]);
+}
+
+// Numbers are compared in their normalized form, so "+91 98765-43210" matches "919876543210".
+// Returns null for numbers that do not normalize. defaultCountryCode and international
+// work as in normalizePhoneNumber.
+function normalizeNumber(phoneNumber, { defaultCountryCode, international = false } = {}) {
+    const result = normalizePhoneNumber(phoneNumber, { defaultCountryCode, international });
+    return result.valid ? result.phoneNumber : null;
+}
+
+function listOptOuts() {
+    return [...load().values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Lookups take normalized numbers or WhatsApp IDs (campaign recipients, senders),
+// which are compared with the stored numbers as they are
+function getOptOut(phoneNumber) {
+    return load().get(normalizeNumber(phoneNumber, { international: true })) || null;
+}
+
+function isOptedOut(phoneNumber) {
+    return load().has(normalizeNumber(phoneNumber, { international: true }));
+}
+
+// Add a number to the list, returns the entry or null if the number is invalid.
+// A number already on the list keeps its original entry. Numbers written without a
+// country code get defaultCountryCode (DEFAULT_COUNTRY_CODE when left out).
+function addOptOut(phoneNumber, { reason = '', source = 'manual', defaultCountryCode } = {}) {
+    const number = normalizeNumber(phoneNumber, { defaultCountryCode });
+    if (!number) {
+        return null;
+    }
+
+    const entries = load();
+    if (!entries.has(number)) {
+        entries.set(number, {
+            phoneNumber: number,
+            reason: reason,
+            source: source,
+            createdAt: new Date().toISOString()
+        });
+        save();
+    }
+    return entries.get(number);
+}
+
+// Remove a number from the list, returns false if it was not on it. Takes the number
+// as stored or as typed by hand. Older versions stored numbers that did not normalize
+// by their digits, those are matched as they are.
+function removeOptOut(phoneNumber) {
+    const deleted = load().delete(normalizeNumber(phoneNumber, { international: true }))
+        || load().delete(normalizeNumber(phoneNumber))
+        || load().delete(String(phoneNumber));
+    if (deleted) {
+        save();
+    }
+    return deleted;
+}
+
+// Whether an incoming message asks us to stop messaging the sender
+function isOptOutMessage(body) {
+    const text = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+    return OPT_OUT_KEYWORDS.includes(text);
+}
+
+// Import numbers from an Excel file: numbers in column A, optional reason in column B, header row skipped.
+// Numbers written without a country code get defaultCountryCode. Rows whose number
+// does not normalize are returned in rejected with the reason.
+async function importOptOuts(filePath, { defaultCountryCode } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error('Excel file is empty or has no sheets');
+    }
+
+    const before = load().size;
+    const rejected = [];
+    const entries = load();
+
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return; // Skip header row
+
+        const cell = row.getCell(1);
+        const result = normalizePhoneNumber(typeof cell.value === 'number' ? cell.value : cell.text, { defaultCountryCode });
+        if (!result.valid) {
+            rejected.push({ row: rowNumber, input: result.input, reason: result.reason, message: result.message });
+            return;
+        }
+        const number = result.phoneNumber;
+        if (!entries.has(number)) {
+            entries.set(number, {
+                phoneNumber: number,
+                reason: row.getCell(2).text || '',
+                source: 'import',
+                createdAt: new Date().toISOString()
+            });
+        }
+    });
+    save();
+
+    return { added: load().size - before, rejected: rejected };
+}
+
+// Write the list to an Excel file in exports/, returns the file path
+async function exportOptOuts(filename) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Do Not Contact');
+
+    worksheet.columns = [
+        { header: 'Number', key: 'phoneNumber', width: 20 },
+        { header: 'Reason', key: 'reason', width: 30 },
+        { header: 'Source', key: 'source', width: 15 },
+        { header: 'Added At', key: 'createdAt', width: 25 }
+    ];
+
+    listOptOuts().forEach(entry => {
+        worksheet.addRow(entry);
+    });
+
+    const outputDir = path.join(__dirname, '..', 'exports');
+    fs.ensureDirSync(outputDir);
+
+    const filePath = path.join(outputDir, filename);
+    await workbook.xlsx.writeFile(filePath);
+
+    return filePath;
+}
+
+module.exports = {
+    normalizeNumber,
+    listOptOuts,
+    getOptOut,
+    isOptedOut,
+    addOptOut,
+    removeOptOut,
+    isOptOutMessage,
+    importOptOuts,
+    exportOptOuts
+};
@@ -0,0 +1,217 @@
+// Anti-ban pacing. A campaign's pacing policy limits how fast each WhatsApp account
+// sends: a random delay between minDelaySeconds and maxDelaySeconds, a longer rest
+// after every batchSize messages, and at most hourlyCap / dailyCap messages per
+// account (counted over all campaigns). When errors or rate-limit symptoms pile up,
+// the delays and rests are doubled (back-off), and they return to normal once
+// sending goes well again.
+
+const { getSendsToday, getRecentSends } = require('./sessions');
+
+// Ready-made policies, selectable per campaign
+const PRESETS = {
+    careful: { minDelaySeconds: 20, maxDelaySeconds: 60, batchSize: 20, batchRestSeconds: 900, hourlyCap: 60, dailyCap: 300 },
+    standard: { minDelaySeconds: 8, maxDelaySeconds: 25, batchSize: 40, batchRestSeconds: 300, hourlyCap: 150, dailyCap: 800 },
+    fast: { minDelaySeconds: 3, maxDelaySeconds: 10, batchSize: 100, batchRestSeconds: 120, hourlyCap: 400, dailyCap: null }
+};
+const DEFAULT_PRESET = 'standard';
+const FIELDS = ['minDelaySeconds', 'maxDelaySeconds', 'batchSize', 'batchRestSeconds', 'hourlyCap', 'dailyCap'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Shortest delay between two messages of an account any policy may have
+const MIN_DELAY_SECONDS = 2;
+
+// Back-off: this many errors among the last RECENT_RESULTS sends slow the account
+// down one level (delays x2 per level, up to MAX_BACKOFF_LEVEL), and RECOVERY_SENDS
+// successful sends in a row bring it back up one level
+const RECENT_RESULTS = 10;
+const BACKOFF_ERRORS = 3;
+const MAX_BACKOFF_LEVEL = 4;
+const RECOVERY_SENDS = 20;
+
+// The shortest rest after backing off, for policies without a batch rest
+const MIN_BACKOFF_REST_SECONDS = 60;
+
+// Errors that suggest WhatsApp is limiting the account, these back off right away
+const RATE_LIMIT_PATTERN = /rate.?limit|too many|429|spam|blocked|banned|restricted/i;
+
+// A number field of the policy. Returns undefined when not given; for caps and the
+// batch size, 0 means none.
+function parseField(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (isNaN(number) || number < 0) {
+        throw new Error(`${field} must be zero or more`);
+    }
+    if (field === 'batchSize' || field === 'hourlyCap' || field === 'dailyCap') {
+        return number > 0 ? Math.floor(number) : null;
+    }
+    return number;
+}
+
+// Build a campaign's pacing policy from a preset name, with any of the fields given
+// overriding it. Older clients send a single delaySeconds instead: a random delay
+// between 3 seconds and delaySeconds like before, or exactly delaySeconds when that
+// is 3 or less (raised to MIN_DELAY_SECONDS, so older campaigns keep working).
+// Without either the standard preset is used.
+// Throws an Error describing invalid input.
+function createPacing({ preset, delaySeconds, ...fields } = {}) {
+    let base;
+    let name;
+    if (preset && preset !== 'custom') {
+        if (!PRESETS[preset]) {
+            throw new Error(`Unknown pacing preset "${preset}", use ${Object.keys(PRESETS).join(', ')} or custom`);
+        }
+        base = PRESETS[preset];
+        name = preset;
+    } else if (parseField('delaySeconds', delaySeconds) !== undefined) {
+        const seconds = Math.max(parseField('delaySeconds', delaySeconds), MIN_DELAY_SECONDS);
+        base = { minDelaySeconds: Math.min(3, seconds), maxDelaySeconds: seconds, batchSize: null, batchRestSeconds: 0, hourlyCap: null, dailyCap: null };
+        name = 'custom';
+    } else {
+        base = PRESETS[DEFAULT_PRESET];
+        name = preset === 'custom' ? 'custom' : DEFAULT_PRESET;
+    }
+
+    const pacing = { preset: name, ...base };
+    FIELDS.forEach(field => {
+        const value = parseField(field, fields[field]);
+        if (value !== undefined && value !== pacing[field]) {
+            pacing[field] = value;
+            pacing.preset = 'custom';
+        }
+    });
+
+    if (pacing.minDelaySeconds < MIN_DELAY_SECONDS) {
+        throw new Error(`The delay between messages must be at least ${MIN_DELAY_SECONDS} seconds`);
+    }
+    if (pacing.maxDelaySeconds < pacing.minDelaySeconds) {
+        throw new Error('maxDelaySeconds must not be less than minDelaySeconds');
+    }
+    return pacing;
+}
+
+// Short description, e.g. "8-25 s between messages, 5 min rest after every 40, max 150 per hour, 800 per day"
+function describePacing(pacing) {
+    const parts = [pacing.minDelaySeconds === pacing.maxDelaySeconds
+        ? `${pacing.minDelaySeconds} s between messages`
+        : `${pacing.minDelaySeconds}-${pacing.maxDelaySeconds} s between messages`];
+    if (pacing.batchSize && pacing.batchRestSeconds) {
+        parts.push(`${Math.round(pacing.batchRestSeconds / 60 * 10) / 10} min rest after every ${pacing.batchSize}`);
+    }
+    if (pacing.hourlyCap) {
+        parts.push(`max ${pacing.hourlyCap} per hour`);
+    }
+    if (pacing.dailyCap) {
+        parts.push(`${pacing.hourlyCap ? '' : 'max '}${pacing.dailyCap} per day`);
+    }
+    return parts.join(', ');
+}
+
+// Pacing state of one account within a campaign, stored on the campaign
+function createLane() {
+    return {
+        nextAllowedAt: 0,
+        waitReason: null,
+        sentInBatch: 0,
+        backoffLevel: 0,
+        recentErrors: [],
+        successStreak: 0
+    };
+}
+
+// Milliseconds until the next local midnight, when daily caps reset
+function msUntilTomorrow(now) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+}
+
+// How long the account has to wait before its next message. Returns { waitMs: 0 }
+// when it can send now, otherwise the wait with its reason: 'delay', 'batch_rest',
+// 'backoff', 'hourly_cap' or 'daily_cap'.
+function getPacingWait(pacing, lane, sessionId, now = Date.now()) {
+    if (lane.nextAllowedAt > now) {
+        return { waitMs: lane.nextAllowedAt - now, reason: lane.waitReason || 'delay' };
+    }
+
+    if (pacing.hourlyCap) {
+        const recent = getRecentSends(sessionId, now);
+        if (recent.length >= pacing.hourlyCap) {
+            return { waitMs: recent[recent.length - pacing.hourlyCap] + HOUR_MS - now, reason: 'hourly_cap' };
+        }
+    }
+
+    if (pacing.dailyCap && getSendsToday(sessionId) >= pacing.dailyCap) {
+        return { waitMs: msUntilTomorrow(now), reason: 'daily_cap' };
+    }
+
+    return { waitMs: 0, reason: null };
+}
+
+function randomDelayMs(pacing) {
+    const seconds = pacing.minDelaySeconds + Math.random() * (pacing.maxDelaySeconds - pacing.minDelaySeconds);
+    return Math.round(seconds * 1000);
+}
+
+// Update the account's lane after it tried to send, setting when it may send next
+function recordPacedSend(pacing, lane, result, now = Date.now()) {
+    if (result.status === 'session_not_ready' || result.status === 'skipped') {
+        return;
+    }
+
+    const isError = result.status === 'error';
+    lane.recentErrors = [...lane.recentErrors, isError].slice(-RECENT_RESULTS);
+
+    let backOff = false;
+    if (isError) {
+        lane.successStreak = 0;
+        const errorCount = lane.recentErrors.filter(error => error).length;
+        backOff = RATE_LIMIT_PATTERN.test(result.error || '') || errorCount >= BACKOFF_ERRORS;
+    } else if (result.status === 'sent') {
+        lane.successStreak++;
+        if (lane.backoffLevel > 0 && lane.successStreak >= RECOVERY_SENDS) {
+            lane.backoffLevel--;
+            lane.successStreak = 0;
+        }
+    }
+
+    if (backOff) {
+        lane.backoffLevel = Math.min(lane.backoffLevel + 1, MAX_BACKOFF_LEVEL);
+        lane.recentErrors = [];
+    }
+
+    const multiplier = 2 ** lane.backoffLevel;
+    let waitMs = randomDelayMs(pacing) * multiplier;
+    let reason = 'delay';
+
+    if (result.status === 'sent') {
+        lane.sentInBatch++;
+        if (pacing.batchSize && lane.sentInBatch >= pacing.batchSize) {
+            lane.sentInBatch = 0;
+            waitMs = Math.max(waitMs, pacing.batchRestSeconds * 1000 * multiplier);
+            reason = 'batch_rest';
+        }
+    }
+
+    if (backOff) {
+        waitMs = Math.max(waitMs, Math.max(pacing.batchRestSeconds, MIN_BACKOFF_REST_SECONDS) * 1000 * multiplier);
+        reason = 'backoff';
+        console.log(`Backing off to level ${lane.backoffLevel} after: ${result.error || 'repeated errors'}`);
+    }
+
+    lane.nextAllowedAt = now + waitMs;
+    lane.waitReason = reason;
+}
+
+module.exports = {
+    PRESETS,
+    createPacing,
+    describePacing,
+    createLane,
+    getPacingWait,
+    recordPacedSend
+};
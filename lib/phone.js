@@ -0,0 +1,84 @@
+// Phone number normalization. Every number is turned into E.164 digits
+// (country code + national number, e.g. 919876543210) or rejected with a reason.
+
+// Country code used for numbers written without one, e.g. DEFAULT_COUNTRY_CODE=91
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '').replace(/[^0-9]/g, '');
+
+// National numbers are at most this long, anything longer is read as already
+// including its country code
+const MAX_NATIONAL_LENGTH = 10;
+
+const REJECT_MESSAGES = {
+    empty: 'The number is empty',
+    invalid_characters: 'The number contains characters other than digits, spaces, dashes, dots, brackets or a leading +',
+    missing_country_code: 'The number has no country code and no default country code is set',
+    too_short: 'The number is too short to be a valid international number',
+    too_long: 'The number is longer than the 15 digits allowed by E.164',
+    invalid_country_code: 'Country codes never start with 0'
+};
+
+function reject(input, reason) {
+    return { valid: false, input: input, reason: reason, message: REJECT_MESSAGES[reason] };
+}
+
+function getDefaultCountryCode() {
+    return DEFAULT_COUNTRY_CODE;
+}
+
+// Normalize one number. Accepts strings or Excel numeric cells.
+// Numbers starting with + or 00 are international, and so are WhatsApp IDs like
+// 919876543210@c.us. A leading 0 is a national trunk prefix and numbers of up to
+// 10 digits are national; both get the default country code. Everything else is
+// assumed to already start with a country code.
+// Pass international: true for numbers that were normalized before (stored numbers,
+// campaign recipients), they never get the default country code again.
+function normalizePhoneNumber(input, { defaultCountryCode = DEFAULT_COUNTRY_CODE, international = false } = {}) {
+    const countryCode = String(defaultCountryCode || '').replace(/[^0-9]/g, '');
+
+    let value = typeof input === 'number' ? String(Math.trunc(input)) : String(input === undefined || input === null ? '' : input);
+    const isWhatsAppId = value.trim().endsWith('@c.us');
+    value = value.split('@')[0].trim(); // Accept WhatsApp IDs like 919876543210@c.us
+
+    if (!value) {
+        return reject(input, 'empty');
+    }
+
+    // Only formatting characters may be removed, anything else means the cell is not a number
+    const compact = value.replace(/[\s\-.()\/]/g, '');
+    if (!/^\+?\d+$/.test(compact)) {
+        return reject(input, 'invalid_characters');
+    }
+
+    let digits;
+    if (compact.startsWith('+')) {
+        digits = compact.slice(1);
+    } else if (compact.startsWith('00')) {
+        digits = compact.slice(2);
+    } else if (international || isWhatsAppId) {
+        digits = compact;
+    } else if (compact.startsWith('0') || compact.length <= MAX_NATIONAL_LENGTH) {
+        if (!countryCode) {
+            return reject(input, 'missing_country_code');
+        }
+        digits = countryCode + compact.replace(/^0+/, '');
+    } else {
+        digits = compact;
+    }
+
+    if (digits.startsWith('0')) {
+        return reject(input, 'invalid_country_code');
+    }
+    if (digits.length < 8) {
+        return reject(input, 'too_short');
+    }
+    if (digits.length > 15) {
+        return reject(input, 'too_long');
+    }
+
+    return { valid: true, input: input, phoneNumber: digits, e164: `+${digits}` };
+}
+
+module.exports = {
+    normalizePhoneNumber,
+    getDefaultCountryCode
+};
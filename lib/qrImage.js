@@ -0,0 +1,40 @@
+// QR codes as images for the web interface. WhatsApp login QR codes are drawn here
+// as SVG, with the QR encoder that ships with qrcode-terminal, so they never have
+// to be sent to an outside QR code service.
+
+const QRCode = require('qrcode-terminal/vendor/QRCode');
+const QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+
+// Blank modules around the code, scanners need this quiet zone
+const MARGIN = 4;
+
+// SVG image of a QR code for the given text
+function qrSvg(text) {
+    const qr = new QRCode(-1, QRErrorCorrectLevel.M);
+    qr.addData(String(text));
+    qr.make();
+
+    const count = qr.getModuleCount();
+    const size = count + MARGIN * 2;
+    let path = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.isDark(row, col)) {
+                path += `M${col + MARGIN} ${row + MARGIN}h1v1h-1z`;
+            }
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// The QR code as a data: URL, for the src of an <img>
+function qrDataUrl(text) {
+    return `data:image/svg+xml;base64,${Buffer.from(qrSvg(text)).toString('base64')}`;
+}
+
+module.exports = {
+    qrSvg,
+    qrDataUrl
+};
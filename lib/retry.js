@@ -0,0 +1,67 @@
+// Retrying failed sends. Failures are classified as transient (the client was not
+// ready, a timeout, a browser protocol error: worth another try) or permanent (the
+// number is not on WhatsApp or invalid: trying again gives the same result).
+// Transient failures are retried with exponential back-off up to a limit per campaign.
+
+// Errors worth another try, as reported by whatsapp-web.js and puppeteer
+const TRANSIENT_PATTERNS = [
+    /not ready/i,
+    /time(d)? ?out/i,
+    /protocol error/i,
+    /session closed/i,
+    /target closed/i,
+    /execution context was destroyed/i,
+    /navigation/i,
+    /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|socket hang up/i
+];
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRIES = 10;
+
+// Back-off never waits longer than this between attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Retry policy of a campaign from request input. Throws an Error describing invalid input.
+function createRetryPolicy({ maxRetries, retryDelaySeconds } = {}) {
+    const retries = maxRetries === undefined || maxRetries === '' ? DEFAULT_MAX_RETRIES : Number(maxRetries);
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+        throw new Error(`maxRetries must be a whole number from 0 to ${MAX_RETRIES}`);
+    }
+
+    const delay = retryDelaySeconds === undefined || retryDelaySeconds === '' ? DEFAULT_RETRY_DELAY_SECONDS : Number(retryDelaySeconds);
+    if (isNaN(delay) || delay < 1) {
+        throw new Error('retryDelaySeconds must be at least 1');
+    }
+
+    return { maxRetries: retries, retryDelaySeconds: delay };
+}
+
+// 'transient' or 'permanent' for a failed send result, null when it did not fail.
+// Unknown errors count as permanent, so a message that may have gone out is never
+// sent twice; that includes a multi-part message that failed half way.
+function classifyFailure(result) {
+    if (result.status === 'not_registered') {
+        return 'permanent';
+    }
+    if (result.status !== 'error') {
+        return null;
+    }
+
+    const message = result.error || '';
+    if (/^Sent \d+ of \d+ parts/.test(message)) {
+        return 'permanent';
+    }
+    return TRANSIENT_PATTERNS.some(pattern => pattern.test(message)) ? 'transient' : 'permanent';
+}
+
+// Wait before the given retry (1 for the first), doubling every time
+function retryDelayMs(policy, retry) {
+    return Math.min(policy.retryDelaySeconds * 1000 * 2 ** (retry - 1), MAX_RETRY_DELAY_MS);
+}
+
+module.exports = {
+    createRetryPolicy,
+    classifyFailure,
+    retryDelayMs
+};
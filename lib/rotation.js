@@ -0,0 +1,79 @@
+// Round-robin distribution of one campaign over several WhatsApp accounts.
+// Each account keeps its own pacing (see pacing.js), and an account that keeps
+// failing is taken out of the rotation so the others pick up its recipients.
+
+const { getSession } = require('./sessions');
+
+// Consecutive send errors after which an account leaves the rotation
+const FAILURE_LIMIT = 3;
+
+// Rotation state stored on the campaign
+function createRotation({ sessionIds }) {
+    return {
+        sessionIds: sessionIds,
+        lastIndex: -1,
+        failures: {},
+        excluded: {}
+    };
+}
+
+// Decide which account sends next. getWait(sessionId) returns the account's pacing
+// wait as { waitMs, reason }. Returns { sessionId } when one can send now, otherwise
+// { reason, waitMs } with the pacing reason of the account that can send soonest
+// (wait and ask again), 'not_ready' (no account connected) or 'exhausted' (all excluded).
+function pickNextSession(rotation, getWait) {
+    const candidates = rotation.sessionIds.filter(id => !rotation.excluded[id]);
+    if (candidates.length === 0) {
+        return { reason: 'exhausted' };
+    }
+
+    const ready = candidates.filter(id => {
+        const session = getSession(id);
+        return session && session.isReady;
+    });
+    if (ready.length === 0) {
+        return { reason: 'not_ready' };
+    }
+
+    const waits = new Map(ready.map(id => [id, getWait(id)]));
+
+    // Walk the accounts in order, starting after the one that sent last
+    const count = rotation.sessionIds.length;
+    for (let step = 1; step <= count; step++) {
+        const index = (rotation.lastIndex + step) % count;
+        const id = rotation.sessionIds[index];
+        if (waits.has(id) && waits.get(id).waitMs <= 0) {
+            rotation.lastIndex = index;
+            return { sessionId: id };
+        }
+    }
+
+    const soonest = [...waits.values()].sort((a, b) => a.waitMs - b.waitMs)[0];
+    return { reason: soonest.reason, waitMs: soonest.waitMs };
+}
+
+// Update failure tracking after an account sent (or tried to send) a message
+function recordOutcome(rotation, sessionId, result) {
+    if (result.status === 'error') {
+        rotation.failures[sessionId] = (rotation.failures[sessionId] || 0) + 1;
+        if (rotation.failures[sessionId] >= FAILURE_LIMIT) {
+            rotation.excluded[sessionId] = `${FAILURE_LIMIT} errors in a row, last: ${result.error || 'unknown error'}`;
+            console.log(`Account ${sessionId} taken out of rotation: ${rotation.excluded[sessionId]}`);
+        }
+    } else if (result.status !== 'session_not_ready') {
+        rotation.failures[sessionId] = 0;
+    }
+}
+
+// Give excluded accounts another chance, e.g. when the operator resumes the campaign
+function resetExclusions(rotation) {
+    rotation.excluded = {};
+    rotation.failures = {};
+}
+
+module.exports = {
+    createRotation,
+    pickNextSession,
+    recordOutcome,
+    resetExclusions
+};
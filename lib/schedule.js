@@ -0,0 +1,101 @@
+// Daily send windows, e.g. only 09:00-20:00 in the recipients' time zone
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// '09:30' -> minutes since midnight
+function parseTime(value) {
+    const match = TIME_PATTERN.exec(String(value || '').trim());
+    if (!match) {
+        throw new Error(`Invalid time "${value}", expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Time zone of the server, used when a window does not name one
+function getDefaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Build a send window from request input, returns null when no window is set
+function createSendWindow({ start, end, timeZone }) {
+    if (!start && !end) {
+        return null;
+    }
+    if (!start || !end) {
+        throw new Error('Both a start and an end time are needed for a send window');
+    }
+    if (parseTime(start) === parseTime(end)) {
+        throw new Error('The send window start and end time must differ');
+    }
+
+    const zone = timeZone || getDefaultTimeZone();
+    if (!isValidTimeZone(zone)) {
+        throw new Error(`Unknown time zone "${zone}"`);
+    }
+
+    return { start: String(start).trim(), end: String(end).trim(), timeZone: zone };
+}
+
+// Minutes (with fractions) since local midnight in the given time zone
+function getLocalMinutes(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return get('hour') * 60 + get('minute') + get('second') / 60;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day of the week in the given time zone, 0 = Sunday
+function getLocalWeekday(date, timeZone) {
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, weekday: 'short' }).format(date);
+    return WEEKDAYS.indexOf(weekday);
+}
+
+// Whether the window is open at the given moment. Windows may cross midnight (22:00-06:00).
+function isWithinWindow(sendWindow, date = new Date()) {
+    if (!sendWindow) return true;
+
+    const now = getLocalMinutes(date, sendWindow.timeZone);
+    const start = parseTime(sendWindow.start);
+    const end = parseTime(sendWindow.end);
+
+    if (start < end) {
+        return now >= start && now < end;
+    }
+    return now >= start || now < end;
+}
+
+// Milliseconds until the window opens next, 0 when it is open now
+function msUntilWindowOpens(sendWindow, date = new Date()) {
+    if (isWithinWindow(sendWindow, date)) return 0;
+
+    const now = getLocalMinutes(date, sendWindow.timeZone);
+    const start = parseTime(sendWindow.start);
+    const minutes = (start - now + 24 * 60) % (24 * 60);
+
+    return Math.ceil(minutes * 60 * 1000);
+}
+
+module.exports = {
+    createSendWindow,
+    isWithinWindow,
+    msUntilWindowOpens,
+    getLocalWeekday,
+    getDefaultTimeZone
+};
@@ -0,0 +1,167 @@
+// Named WhatsApp accounts. Each session keeps its own LocalAuth data (clientId is
+// the session ID), so a restart reconnects without scanning the QR code again.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const sessionsFile = dataPath('sessions.json');
+
+// Where LocalAuth keeps the logins, one session-<id> folder per session. Passed to
+// LocalAuth as dataPath, so it does not depend on the directory the app runs from.
+const AUTH_DIR = path.join(__dirname, '..', '.wwebjs_auth');
+const usageFile = dataPath('session-usage.json');
+
+// Sessions in the order they were added, keyed by ID. Besides the stored fields
+// (id, name, createdAt) each entry carries its runtime state: client, status,
+// isReady and lastQrCode.
+const sessions = new Map();
+
+function save() {
+    const stored = [...sessions.values()].map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+    writeJsonAtomic(sessionsFile, stored);
+}
+
+function createEntry({ id, name, createdAt }) {
+    return {
+        id: id,
+        name: name,
+        createdAt: createdAt,
+        client: null,
+        status: 'initializing',
+        isReady: false,
+        lastQrCode: '',
+        info: null
+    };
+}
+
+// Load stored sessions. The first run gets a single "default" session.
+function loadSessions() {
+    const stored = readJson(sessionsFile, null) || [{ id: 'default', name: 'Default', createdAt: new Date().toISOString() }];
+
+    stored.forEach(entry => {
+        if (!sessions.has(entry.id)) {
+            sessions.set(entry.id, createEntry(entry));
+        }
+    });
+    save();
+
+    return listSessions();
+}
+
+function listSessions() {
+    return [...sessions.values()];
+}
+
+function getSession(id) {
+    return sessions.get(id) || null;
+}
+
+// The session used when a request does not name one: the first ready session,
+// otherwise the first one added
+function getDefaultSession() {
+    const all = listSessions();
+    return all.find(session => session.isReady) || all[0] || null;
+}
+
+// LocalAuth only accepts letters, digits, underscores and hyphens in a clientId
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+// Add a session, returns the new entry. Its client still has to be initialized.
+function addSession(name) {
+    const displayName = String(name || '').trim();
+    if (!displayName) {
+        throw new Error('Session name is required');
+    }
+
+    let id = slugify(displayName) || 'session';
+    if (sessions.has(id)) {
+        id = `${id}-${Date.now()}`;
+    }
+
+    const session = createEntry({ id: id, name: displayName, createdAt: new Date().toISOString() });
+    sessions.set(id, session);
+    save();
+
+    return session;
+}
+
+// Forget a session and delete its LocalAuth data. The caller shuts the client down first.
+async function removeSession(id) {
+    if (!sessions.delete(id)) {
+        return false;
+    }
+    save();
+
+    await fs.remove(path.join(AUTH_DIR, `session-${id}`));
+    return true;
+}
+
+// Messages sent per session per day, and the send times of the last hour:
+// { [sessionId]: { date: 'YYYY-MM-DD', count, recent: [ms] } }
+let usage = null;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local calendar day, daily caps reset at the server's midnight
+function today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function getSendsToday(id) {
+    usage = usage || readJson(usageFile, {});
+    const entry = usage[id];
+    return entry && entry.date === today() ? entry.count : 0;
+}
+
+// Times (ms) of the messages a session sent in the last hour, oldest first
+function getRecentSends(id, now = Date.now()) {
+    usage = usage || readJson(usageFile, {});
+    const entry = usage[id];
+    return entry && entry.recent ? entry.recent.filter(time => time > now - HOUR_MS) : [];
+}
+
+// Count one message sent from a session towards its daily and hourly totals
+function recordSend(id) {
+    const now = Date.now();
+    const count = getSendsToday(id) + 1;
+    usage[id] = { date: today(), count: count, recent: [...getRecentSends(id, now), now] };
+    writeJsonAtomic(usageFile, usage);
+    return count;
+}
+
+// Session details safe to send to the browser
+function summarizeSession(session) {
+    return {
+        id: session.id,
+        name: session.name,
+        createdAt: session.createdAt,
+        status: session.status,
+        isReady: session.isReady,
+        hasQrCode: !session.isReady && !!session.lastQrCode,
+        phoneNumber: session.info ? session.info.phoneNumber : null,
+        pushname: session.info ? session.info.pushname : null,
+        sentToday: getSendsToday(session.id)
+    };
+}
+
+module.exports = {
+    AUTH_DIR,
+    loadSessions,
+    listSessions,
+    getSession,
+    getDefaultSession,
+    addSession,
+    removeSession,
+    getSendsToday,
+    getRecentSends,
+    recordSend,
+    summarizeSession
+};
@@ -0,0 +1,95 @@
+// Message variation, so a campaign does not send the same text to everyone.
+// Spintax picks one option of every {Hi|Hello|Hey} group for each recipient (groups
+// can be nested), and a campaign can add alternative bodies that are used instead
+// of the main message, picked at random or in turn. {{placeholders}} are left alone.
+
+const MODES = ['random', 'round_robin'];
+
+// Upper limit on alternative bodies per campaign
+const MAX_BODIES = 20;
+
+const PLACEHOLDER_PATTERN = /\{\{[^{}]*\}\}/g;
+const GROUP_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+// Whether a text has at least one {a|b} group
+function hasSpintax(text) {
+    return GROUP_PATTERN.test(String(text || '').replace(PLACEHOLDER_PATTERN, ''));
+}
+
+// Pick one option of every group, innermost groups first
+function spin(text, random = Math.random) {
+    // Placeholders use braces too, keep them out of the way while spinning
+    const placeholders = [];
+    let result = String(text || '').replace(PLACEHOLDER_PATTERN, match => {
+        placeholders.push(match);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    });
+
+    let match;
+    while ((match = GROUP_PATTERN.exec(result)) !== null) {
+        const options = match[1].split('|');
+        const choice = options[Math.floor(random() * options.length)];
+        result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+    }
+
+    return result.replace(/\u0000(\d+)\u0000/g, (token, index) => placeholders[Number(index)]);
+}
+
+// Variation settings of a campaign from request input: bodies (array, or a JSON
+// array string) and mode. Returns null without alternative bodies.
+// Throws an Error describing invalid input.
+function createVariation({ bodies, mode = 'random' }) {
+    let list = bodies;
+    if (typeof list === 'string') {
+        try {
+            list = list.trim() ? JSON.parse(list) : [];
+        } catch (error) {
+            throw new Error('alternativeBodies must be a JSON array of texts');
+        }
+    }
+    if (!list) {
+        return null;
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('alternativeBodies must be a list of texts');
+    }
+
+    list = list.map(body => String(body || '')).filter(body => body.trim());
+    if (list.length === 0) {
+        return null;
+    }
+    if (list.length > MAX_BODIES) {
+        throw new Error(`At most ${MAX_BODIES} alternative bodies can be given`);
+    }
+    if (!MODES.includes(mode || 'random')) {
+        throw new Error(`variationMode must be one of ${MODES.join(', ')}`);
+    }
+
+    return { bodies: list, mode: mode || 'random', nextIndex: 0 };
+}
+
+// Pick the body for the next recipient. Returns { index, text } where index 0 is
+// the main message and 1 and up are the alternative bodies. Round-robin moves the
+// variation's nextIndex on, so the campaign has to be saved afterwards.
+function pickBody(message, variation) {
+    if (!variation) {
+        return { index: 0, text: message };
+    }
+
+    const all = [message, ...variation.bodies];
+    let index;
+    if (variation.mode === 'round_robin') {
+        index = variation.nextIndex % all.length;
+        variation.nextIndex = index + 1;
+    } else {
+        index = Math.floor(Math.random() * all.length);
+    }
+    return { index, text: all[index] };
+}
+
+module.exports = {
+    hasSpintax,
+    spin,
+    createVariation,
+    pickBody
+};
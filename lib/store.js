@@ -0,0 +1,35 @@
+// Small helpers for the JSON files kept under data/, or the directory named by the
+// DATA_DIR environment variable (the tests use a temporary one)
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+fs.ensureDirSync(dataDir);
+
+// Path of a file or directory inside data/
+function dataPath(...parts) {
+    return path.join(dataDir, ...parts);
+}
+
+// Read a JSON file, returning the fallback if it does not exist yet
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return fs.readJsonSync(filePath);
+}
+
+// Write through a temporary file and rename it, so a crash in the middle of a
+// write never leaves a truncated file behind
+function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tempPath, data, { spaces: 2 });
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    dataPath,
+    readJson,
+    writeJsonAtomic
+};
@@ -0,0 +1,66 @@
+// Message personalization: fills {{Column}} placeholders with values from the
+// recipient's Excel row. {{Column|fallback}} is used when the cell is empty.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g;
+
+// List the placeholders used in a message, each name only once
+function extractPlaceholders(message) {
+    const placeholders = new Map();
+    for (const match of String(message || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const name = match[1];
+        if (!placeholders.has(name.toLowerCase())) {
+            placeholders.set(name.toLowerCase(), {
+                name: name,
+                fallback: match[2] !== undefined ? match[2] : null
+            });
+        }
+    }
+    return [...placeholders.values()];
+}
+
+// Find a variable by column name, ignoring case
+function lookupVariable(variables, name) {
+    if (!variables) return undefined;
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+        return variables[name];
+    }
+    const key = Object.keys(variables).find(k => k.toLowerCase() === name.toLowerCase());
+    return key !== undefined ? variables[key] : undefined;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Placeholders that do not match any of the available columns
+function findUnknownPlaceholders(message, columns = []) {
+    const known = columns.map(column => column.toLowerCase());
+    return extractPlaceholders(message)
+        .filter(placeholder => !known.includes(placeholder.name.toLowerCase()))
+        .map(placeholder => placeholder.name);
+}
+
+// Placeholders that would render empty for these variables (empty cell and no fallback)
+function findMissingValues(message, variables) {
+    return extractPlaceholders(message)
+        .filter(placeholder => placeholder.fallback === null && isEmpty(lookupVariable(variables, placeholder.name)))
+        .map(placeholder => placeholder.name);
+}
+
+// Fill in all placeholders for one recipient
+function renderMessage(message, variables = {}) {
+    return String(message || '').replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+        const value = lookupVariable(variables, name);
+        if (isEmpty(value)) {
+            return fallback !== undefined ? fallback : '';
+        }
+        return String(value).trim();
+    });
+}
+
+module.exports = {
+    extractPlaceholders,
+    findUnknownPlaceholders,
+    findMissingValues,
+    renderMessage
+};
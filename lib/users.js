@@ -0,0 +1,376 @@
+// User accounts of the web interface and the API. Passwords are hashed with scrypt,
+// API keys and login tokens are only stored as SHA-256 hashes, so data/ never holds
+// anything that can be used to log in. Every user has one role:
+//   admin     manages WhatsApp accounts and users, and can do everything else
+//   operator  sends and controls campaigns, manages audiences, templates and replies
+//   viewer    sees campaigns and their reports only
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// A login stays valid this long after it was last used
+const LOGIN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Failed logins of a username before it is locked for LOCK_MS
+const MAX_FAILED_LOGINS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+const usersFile = dataPath('users.json');
+const loginsFile = dataPath('logins.json');
+
+let users = null;
+let logins = null;
+const failedLogins = new Map();
+
+function loadUsers() {
+    if (!users) {
+        users = readJson(usersFile, []);
+    }
+    return users;
+}
+
+function saveUsers() {
+    writeJsonAtomic(usersFile, loadUsers());
+}
+
+function loadLogins() {
+    if (!logins) {
+        const now = Date.now();
+        logins = readJson(loginsFile, {});
+        Object.keys(logins).forEach(tokenHash => {
+            if (logins[tokenHash].expiresAt < now) {
+                delete logins[tokenHash];
+            }
+        });
+    }
+    return logins;
+}
+
+function saveLogins() {
+    writeJsonAtomic(loginsFile, loadLogins());
+}
+
+function generateId() {
+    return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Whether a role includes the rights of another, e.g. admin includes operator
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function validateUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._@-]{3,64}$/.test(name)) {
+        throw new Error('Username must be 3 to 64 letters, digits or . _ @ -');
+    }
+    return name;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+// User without its password hash and key hashes, for API responses
+function summarizeUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        disabled: !!user.disabled,
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null,
+        apiKeys: (user.apiKeys || []).map(key => ({
+            id: key.id,
+            name: key.name,
+            prefix: key.prefix,
+            createdAt: key.createdAt,
+            lastUsedAt: key.lastUsedAt || null
+        }))
+    };
+}
+
+function listUsers() {
+    return loadUsers();
+}
+
+function getUser(id) {
+    return loadUsers().find(user => user.id === id) || null;
+}
+
+function countAdmins(except) {
+    return loadUsers().filter(user => user.role === 'admin' && !user.disabled && user !== except).length;
+}
+
+// Add a user. Throws an Error describing invalid input.
+function createUser({ username, password, role = 'viewer' }) {
+    const name = validateUsername(username);
+    if (loadUsers().some(user => user.username === name)) {
+        throw new Error(`User "${name}" already exists`);
+    }
+
+    const user = {
+        id: generateId(),
+        username: name,
+        passwordHash: hashPassword(validatePassword(password)),
+        role: validateRole(role),
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        lastLoginAt: null,
+        apiKeys: []
+    };
+    loadUsers().push(user);
+    saveUsers();
+    return user;
+}
+
+// Change a user's role, password or disabled flag, fields that are left out keep
+// their value. The last enabled admin cannot be demoted or disabled.
+// Throws an Error describing invalid input.
+function updateUser(id, { role, password, disabled }) {
+    const user = getUser(id);
+    if (!user) {
+        return null;
+    }
+
+    const newRole = role === undefined || role === '' ? user.role : validateRole(role);
+    const newDisabled = disabled === undefined || disabled === '' ? !!user.disabled : disabled === true || disabled === 'true';
+    if (user.role === 'admin' && (newRole !== 'admin' || newDisabled) && countAdmins(user) === 0) {
+        throw new Error('The last admin cannot be demoted or disabled');
+    }
+
+    user.role = newRole;
+    user.disabled = newDisabled;
+    if (password !== undefined && password !== '') {
+        user.passwordHash = hashPassword(validatePassword(password));
+    }
+    if (password || user.disabled) {
+        endUserLogins(user.id);
+    }
+    saveUsers();
+    return user;
+}
+
+// Remove a user with its API keys and logins. The last admin cannot be removed.
+function deleteUser(id) {
+    const user = getUser(id);
+    if (!user) {
+        return false;
+    }
+    if (user.role === 'admin' && countAdmins(user) === 0) {
+        throw new Error('The last admin cannot be removed');
+    }
+
+    users = loadUsers().filter(other => other !== user);
+    saveUsers();
+    endUserLogins(id);
+    return true;
+}
+
+// Check a username and password. Returns the user, or throws an Error that does not
+// tell which of the two was wrong. Repeated failures lock the username for a while.
+function authenticateUser(username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    const failures = failedLogins.get(name);
+    if (failures && failures.lockedUntil > Date.now()) {
+        throw new Error('Too many failed logins, try again later');
+    }
+
+    const user = loadUsers().find(other => other.username === name);
+    if (!user || user.disabled || !checkPassword(password, user.passwordHash)) {
+        // A lock that ran out starts the count again
+        const count = failures && !failures.lockedUntil ? failures.count + 1 : 1;
+        failedLogins.set(name, {
+            count: count,
+            lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCK_MS : 0
+        });
+        throw new Error('Invalid username or password');
+    }
+
+    failedLogins.delete(name);
+    user.lastLoginAt = new Date().toISOString();
+    saveUsers();
+    return user;
+}
+
+// Start a login for a user, returns the token for the session cookie
+function createLogin(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    loadLogins()[hashToken(token)] = { userId, expiresAt: Date.now() + LOGIN_TTL_MS };
+    saveLogins();
+    return token;
+}
+
+// User of a login token, or null when it is unknown, expired or the user is disabled.
+// Using a login extends it.
+function findUserByLogin(token) {
+    if (!token) {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const login = loadLogins()[tokenHash];
+    if (!login || login.expiresAt < Date.now()) {
+        return null;
+    }
+
+    const user = getUser(login.userId);
+    if (!user || user.disabled) {
+        return null;
+    }
+
+    // Write the new expiry at most once an hour, not on every request
+    const expiresAt = Date.now() + LOGIN_TTL_MS;
+    if (expiresAt - login.expiresAt > 60 * 60 * 1000) {
+        login.expiresAt = expiresAt;
+        saveLogins();
+    }
+    return user;
+}
+
+function endLogin(token) {
+    const tokenHash = hashToken(token);
+    if (loadLogins()[tokenHash]) {
+        delete logins[tokenHash];
+        saveLogins();
+    }
+}
+
+function endUserLogins(userId) {
+    const all = loadLogins();
+    Object.keys(all).forEach(tokenHash => {
+        if (all[tokenHash].userId === userId) {
+            delete all[tokenHash];
+        }
+    });
+    saveLogins();
+}
+
+// Create an API key for a user. Returns { key, apiKey }: key is the secret, it is
+// shown once and cannot be looked up again.
+function createApiKey(userId, name) {
+    const user = getUser(userId);
+    if (!user) {
+        return null;
+    }
+
+    const key = `wamt_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = {
+        id: generateId(),
+        name: String(name || '').trim() || 'API key',
+        prefix: key.slice(0, 12),
+        hash: hashToken(key),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    user.apiKeys = [...(user.apiKeys || []), apiKey];
+    saveUsers();
+    return { key, apiKey };
+}
+
+function revokeApiKey(userId, keyId) {
+    const user = getUser(userId);
+    if (!user || !(user.apiKeys || []).some(key => key.id === keyId)) {
+        return false;
+    }
+    user.apiKeys = user.apiKeys.filter(key => key.id !== keyId);
+    saveUsers();
+    return true;
+}
+
+// User an API key belongs to, or null when it is unknown or the user is disabled
+function findUserByApiKey(key) {
+    if (!key) {
+        return null;
+    }
+
+    const keyHash = hashToken(key);
+    for (const user of loadUsers()) {
+        const apiKey = (user.apiKeys || []).find(other => other.hash === keyHash);
+        if (apiKey) {
+            if (user.disabled) {
+                return null;
+            }
+            // Write the last use at most once a minute, not on every request
+            if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60 * 1000) {
+                apiKey.lastUsedAt = new Date().toISOString();
+                saveUsers();
+            }
+            return user;
+        }
+    }
+    return null;
+}
+
+// Make sure there is someone who can log in. On the first start an admin is created
+// from ADMIN_USERNAME / ADMIN_PASSWORD, or with a random password that is printed once.
+function ensureAdminUser() {
+    if (loadUsers().length > 0) {
+        return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    const user = createUser({ username, password, role: 'admin' });
+    if (process.env.ADMIN_PASSWORD) {
+        console.log(`Created admin user "${user.username}" with the password from ADMIN_PASSWORD`);
+    } else {
+        console.log(`Created admin user "${user.username}" with password: ${password}`);
+        console.log('Log in and change it, or set ADMIN_USERNAME / ADMIN_PASSWORD before the first start');
+    }
+    return user;
+}
+
+module.exports = {
+    ROLES,
+    LOGIN_TTL_MS,
+    hasRole,
+    summarizeUser,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    authenticateUser,
+    createLogin,
+    findUserByLogin,
+    endLogin,
+    createApiKey,
+    revokeApiKey,
+    findUserByApiKey,
+    ensureAdminUser
+};
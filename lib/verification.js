@@ -0,0 +1,183 @@
+// Pre-flight WhatsApp registration checks ("verify list") for a recipient list
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+
+const verificationsDir = dataPath('verifications');
+fs.ensureDirSync(verificationsDir);
+
+// Checks that are running in this process, keyed by ID
+const activeJobs = new Map();
+
+function verificationPath(id) {
+    return path.join(verificationsDir, `${id}.json`);
+}
+
+// Create a verification job for recipients collected like /api/send does.
+// Numbers that failed normalization are kept as invalid.
+function createVerification({ columns, recipients, rejected, ratePerMinute = 60 }) {
+    const job = {
+        id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        status: 'running',
+        ratePerMinute: Math.min(Math.max(Number(ratePerMinute) || 60, 1), 600),
+        columns: columns,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        filename: null,
+        recipients: recipients.map(({ phoneNumber, variables = {} }) => ({
+            phoneNumber: phoneNumber,
+            variables: variables,
+            status: 'pending',
+            error: null
+        })),
+        rejected: rejected
+    };
+
+    writeJsonAtomic(verificationPath(job.id), job);
+    return job;
+}
+
+// Load a job by ID, returns null if it does not exist. A job that was running
+// when the process stopped is reported as interrupted.
+function getVerification(id) {
+    if (activeJobs.has(id)) {
+        return activeJobs.get(id);
+    }
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+        return null;
+    }
+
+    const job = readJson(verificationPath(id), null);
+    if (job && job.status === 'running') {
+        job.status = 'interrupted';
+    }
+    return job;
+}
+
+// Job without the recipient list, with counts per status
+function summarizeVerification(job) {
+    const { recipients, rejected, ...summary } = job;
+    const counts = { pending: 0, registered: 0, not_registered: 0, error: 0, invalid: rejected.length };
+    recipients.forEach(recipient => {
+        counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    });
+
+    const checked = recipients.length - counts.pending;
+    return {
+        ...summary,
+        total: recipients.length,
+        checked: checked,
+        progress: recipients.length > 0 ? Math.round((checked / recipients.length) * 100) : 100,
+        counts: counts,
+        downloadUrl: job.filename ? `/reports/${job.filename}` : null
+    };
+}
+
+// Registered recipients of a finished job, in the shape /api/send uses
+function getRegisteredRecipients(job) {
+    return job.recipients
+        .filter(recipient => recipient.status === 'registered')
+        .map(({ phoneNumber, variables }) => ({ phoneNumber, variables }));
+}
+
+// Check every number with isRegistered(phoneNumber), at most ratePerMinute checks per minute
+async function runVerification(job, isRegistered) {
+    activeJobs.set(job.id, job);
+    const interval = 60 * 1000 / job.ratePerMinute;
+
+    try {
+        for (let i = 0; i < job.recipients.length; i++) {
+            const recipient = job.recipients[i];
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+
+            try {
+                recipient.status = await isRegistered(recipient.phoneNumber) ? 'registered' : 'not_registered';
+            } catch (error) {
+                console.error(`Error checking ${recipient.phoneNumber}:`, error);
+                recipient.status = 'error';
+                recipient.error = error.message;
+            }
+        }
+
+        job.filename = `verified-${job.id}.xlsx`;
+        await exportVerification(job, job.filename);
+        job.status = 'completed';
+    } catch (error) {
+        console.error(`Verification ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        activeJobs.delete(job.id);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    writeJsonAtomic(verificationPath(job.id), job);
+
+    const counts = summarizeVerification(job).counts;
+    console.log(`Verification ${job.id} ${job.status}. Registered: ${counts.registered}/${job.recipients.length}`);
+    return job;
+}
+
+// Write the results to exports/ with one sheet each for registered, not registered and invalid numbers.
+// The first two keep the uploaded columns, so they can be uploaded again as a send list.
+async function exportVerification(job, filename) {
+    const workbook = new ExcelJS.Workbook();
+
+    const extraColumns = job.columns.slice(1);
+    const listColumns = [
+        { header: job.columns[0] || 'Number', key: 'phoneNumber', width: 20 },
+        ...extraColumns.map(column => ({ header: column, key: `var:${column}`, width: 20 }))
+    ];
+
+    const addListSheet = (name, statuses) => {
+        const worksheet = workbook.addWorksheet(name);
+        worksheet.columns = listColumns;
+        job.recipients
+            .filter(recipient => statuses.includes(recipient.status))
+            .forEach(recipient => {
+                const row = { phoneNumber: recipient.phoneNumber };
+                extraColumns.forEach(column => {
+                    row[`var:${column}`] = recipient.variables[column];
+                });
+                worksheet.addRow(row);
+            });
+    };
+
+    addListSheet('Registered', ['registered']);
+    addListSheet('Not Registered', ['not_registered']);
+
+    const invalidSheet = workbook.addWorksheet('Invalid');
+    invalidSheet.columns = [
+        { header: 'Row', key: 'row', width: 10 },
+        { header: 'Number', key: 'input', width: 25 },
+        { header: 'Reason', key: 'message', width: 60 }
+    ];
+    job.rejected.forEach(entry => invalidSheet.addRow(entry));
+    job.recipients
+        .filter(recipient => recipient.status === 'error')
+        .forEach(recipient => invalidSheet.addRow({
+            input: recipient.phoneNumber,
+            message: `Registration check failed: ${recipient.error}`
+        }));
+
+    const outputDir = path.join(__dirname, '..', 'exports');
+    fs.ensureDirSync(outputDir);
+
+    const filePath = path.join(outputDir, filename);
+    await workbook.xlsx.writeFile(filePath);
+
+    return filePath;
+}
+
+module.exports = {
+    createVerification,
+    getVerification,
+    summarizeVerification,
+    getRegisteredRecipients,
+    runVerification
+};
@@ -0,0 +1,454 @@
+// Outbound webhooks, for connecting a CRM or other systems. Every configured endpoint
+// gets a signed JSON POST for the events it subscribed to. Deliveries that fail are
+// retried with exponential back-off, and every delivery is kept in a log.
+//
+// Each POST carries these headers:
+//   X-Webhook-Id         ID of the delivery, the same for every attempt
+//   X-Webhook-Event      event name, e.g. message.result
+//   X-Webhook-Timestamp  Unix time in seconds of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret>
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { dataPath, readJson, writeJsonAtomic } = require('./store');
+const { onEvent } = require('./liveEvents');
+
+// Webhook events and the live events they are made of
+const EVENTS = {
+    'campaign.started': 'campaign_started',
+    'campaign.finished': 'campaign_finished',
+    'message.result': 'recipient_result',
+    'message.ack': 'message_ack',
+    'message.received': 'message_received',
+    'session.disconnected': 'disconnected'
+};
+
+// Attempts per delivery, and the wait before the first retry (doubling after that)
+const MAX_ATTEMPTS = 8;
+const FIRST_RETRY_SECONDS = 15;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+// An endpoint that does not answer within this is counted as failed
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Oldest finished deliveries are dropped from the log beyond this
+const MAX_LOG_ENTRIES = 5000;
+
+// The delivery log file gets a line for every change of a delivery, it is rewritten
+// with one line per delivery once it has this many lines
+const MAX_LOG_LINES = 2 * MAX_LOG_ENTRIES;
+
+// Longest part of a response body kept in the log
+const MAX_RESPONSE_LENGTH = 500;
+
+const webhooksFile = dataPath('webhooks.json');
+const deliveriesFile = dataPath('webhook-deliveries.jsonl');
+const legacyDeliveriesFile = dataPath('webhook-deliveries.json');
+
+let webhooks = null;
+let deliveries = null;
+let deliveryLines = 0;
+let retryTimer = null;
+
+// Writes to the delivery log, in order and off the request path
+let logWrites = Promise.resolve();
+
+// Endpoints whose due deliveries are being sent right now
+const activeWebhooks = new Set();
+
+function loadWebhooks() {
+    if (!webhooks) {
+        webhooks = readJson(webhooksFile, []);
+    }
+    return webhooks;
+}
+
+function saveWebhooks() {
+    writeJsonAtomic(webhooksFile, loadWebhooks());
+}
+
+// Read the delivery log, the last line of a delivery is its current state
+function loadDeliveries() {
+    if (!deliveries) {
+        const byId = new Map();
+        if (fs.existsSync(deliveriesFile)) {
+            const lines = fs.readFileSync(deliveriesFile, 'utf8').split('\n').filter(line => line.trim());
+            lines.forEach(line => {
+                try {
+                    const delivery = JSON.parse(line);
+                    byId.set(delivery.id, delivery);
+                } catch (error) {
+                    // A line cut short by a crash, the earlier state of that delivery stays
+                }
+            });
+            deliveryLines = lines.length;
+        } else {
+            readJson(legacyDeliveriesFile, []).forEach(delivery => byId.set(delivery.id, delivery));
+        }
+        deliveries = [...byId.values()];
+        trimDeliveries();
+        if (deliveryLines !== deliveries.length) {
+            compactDeliveries();
+        }
+    }
+    return deliveries;
+}
+
+// Drop the oldest finished deliveries beyond MAX_LOG_ENTRIES, pending ones are never dropped
+function trimDeliveries() {
+    if (deliveries.length <= MAX_LOG_ENTRIES) return;
+
+    let excess = deliveries.length - MAX_LOG_ENTRIES;
+    deliveries = deliveries.filter(delivery => {
+        if (excess > 0 && delivery.status !== 'pending') {
+            excess--;
+            return false;
+        }
+        return true;
+    });
+}
+
+function queueLogWrite(write) {
+    logWrites = logWrites.then(write).catch(error => console.error('Error writing the webhook delivery log:', error));
+}
+
+// Rewrite the log file with one line per delivery
+function compactDeliveries() {
+    const content = deliveries.map(delivery => JSON.stringify(delivery) + '\n').join('');
+    deliveryLines = deliveries.length;
+    queueLogWrite(async () => {
+        const tempFile = `${deliveriesFile}.tmp`;
+        await fs.writeFile(tempFile, content);
+        await fs.rename(tempFile, deliveriesFile);
+        await fs.remove(legacyDeliveriesFile);
+    });
+}
+
+// Record the current state of a delivery by appending it to the log
+function saveDelivery(delivery) {
+    loadDeliveries();
+    const line = JSON.stringify(delivery) + '\n';
+    deliveryLines++;
+    queueLogWrite(() => fs.appendFile(deliveriesFile, line));
+
+    trimDeliveries();
+    if (deliveryLines > MAX_LOG_LINES) {
+        compactDeliveries();
+    }
+}
+
+function generateId() {
+    return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true' || value === 'on' || value === '1';
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        throw new Error('url must be a valid http or https URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('url must be a valid http or https URL');
+    }
+    return parsed.toString();
+}
+
+// Event list from request input, an array or a comma list. Empty means every event.
+function parseEvents(events) {
+    const list = (Array.isArray(events) ? events : String(events || '').split(','))
+        .map(event => String(event).trim())
+        .filter(Boolean);
+    const unknown = list.filter(event => !EVENTS[event]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook events: ${unknown.join(', ')}. Use ${Object.keys(EVENTS).join(', ')}`);
+    }
+    return list.length > 0 ? list : Object.keys(EVENTS);
+}
+
+function listWebhooks() {
+    return loadWebhooks();
+}
+
+function getWebhook(id) {
+    return loadWebhooks().find(webhook => webhook.id === id) || null;
+}
+
+// Add an endpoint. Fields: name, url, events (defaults to all), secret (generated when
+// left out), enabled. Throws an Error describing invalid input.
+function createWebhook({ name, url, events, secret, enabled }) {
+    const webhook = {
+        id: generateId(),
+        name: String(name || '').trim() || 'Webhook',
+        url: validateUrl(url),
+        events: parseEvents(events),
+        secret: String(secret || '').trim() || crypto.randomBytes(24).toString('hex'),
+        enabled: parseBoolean(enabled, true),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    loadWebhooks().push(webhook);
+    saveWebhooks();
+    return webhook;
+}
+
+// Change an endpoint, fields that are left out keep their value. rotateSecret
+// generates a new secret. Throws an Error describing invalid input.
+function updateWebhook(id, { name, url, events, secret, rotateSecret, enabled }) {
+    const webhook = getWebhook(id);
+    if (!webhook) {
+        return null;
+    }
+
+    const updated = {
+        ...webhook,
+        name: name !== undefined ? String(name).trim() || webhook.name : webhook.name,
+        url: url !== undefined ? validateUrl(url) : webhook.url,
+        events: events !== undefined ? parseEvents(events) : webhook.events,
+        enabled: parseBoolean(enabled, webhook.enabled),
+        updatedAt: new Date().toISOString()
+    };
+    if (parseBoolean(rotateSecret, false)) {
+        updated.secret = crypto.randomBytes(24).toString('hex');
+    } else if (secret !== undefined && String(secret).trim()) {
+        updated.secret = String(secret).trim();
+    }
+
+    Object.assign(webhook, updated);
+    saveWebhooks();
+    return webhook;
+}
+
+// Remove an endpoint, its pending deliveries are not sent anymore
+function deleteWebhook(id) {
+    if (!getWebhook(id)) {
+        return false;
+    }
+    webhooks = loadWebhooks().filter(webhook => webhook.id !== id);
+    saveWebhooks();
+
+    loadDeliveries().forEach(delivery => {
+        if (delivery.webhookId === id && delivery.status === 'pending') {
+            delivery.status = 'failed';
+            delivery.lastError = 'Webhook was deleted';
+            delivery.nextAttemptAt = null;
+            saveDelivery(delivery);
+        }
+    });
+    return true;
+}
+
+// HMAC signature of a payload, as sent in X-Webhook-Signature
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue an event for an endpoint and send it as soon as possible
+function queueDelivery(webhook, event, data) {
+    const delivery = {
+        id: generateId(),
+        webhookId: webhook.id,
+        event: event,
+        payload: { id: null, event: event, createdAt: new Date().toISOString(), data: data },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        responseStatus: null,
+        responseBody: null,
+        lastError: null,
+        deliveredAt: null,
+        createdAt: new Date().toISOString()
+    };
+    delivery.payload.id = delivery.id;
+    loadDeliveries().push(delivery);
+    saveDelivery(delivery);
+    return delivery;
+}
+
+// Whether a failed response is worth another try: server errors, timeouts and
+// rate limits are, other client errors mean the endpoint rejects the payload
+function isRetryable(status) {
+    return !status || status >= 500 || status === 408 || status === 429;
+}
+
+// Send one attempt of a delivery, recording the outcome on it
+async function attemptDelivery(delivery) {
+    const webhook = getWebhook(delivery.webhookId);
+    if (!webhook) {
+        delivery.status = 'failed';
+        delivery.lastError = 'Webhook was deleted';
+        delivery.nextAttemptAt = null;
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    let status = null;
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'WhatsApp-Marketing-Tool-Webhooks',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body: body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        status = response.status;
+        delivery.responseStatus = status;
+        delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_LENGTH);
+        delivery.lastError = response.ok ? null : `HTTP ${status}`;
+    } catch (error) {
+        delivery.responseStatus = null;
+        delivery.responseBody = null;
+        if (error.name === 'TimeoutError') {
+            delivery.lastError = `No response within ${REQUEST_TIMEOUT_MS / 1000} s`;
+        } else {
+            // fetch only says "fetch failed", the cause tells why (ECONNREFUSED, ENOTFOUND, ...)
+            delivery.lastError = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+        }
+    }
+
+    if (status >= 200 && status < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+    } else if (isRetryable(status) && delivery.attempts < MAX_ATTEMPTS) {
+        const waitMs = Math.min(FIRST_RETRY_SECONDS * 1000 * 2 ** (delivery.attempts - 1), MAX_RETRY_MS);
+        delivery.nextAttemptAt = new Date(Date.now() + waitMs).toISOString();
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        console.error(`Webhook ${webhook.name} gave up on ${delivery.event} ${delivery.id}: ${delivery.lastError}`);
+    }
+}
+
+function isDue(delivery) {
+    return delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= Date.now();
+}
+
+// Send the due deliveries of one endpoint, one at a time in the order they were queued
+async function sendDueDeliveries(webhookId) {
+    activeWebhooks.add(webhookId);
+    try {
+        let due;
+        while ((due = loadDeliveries().find(delivery => delivery.webhookId === webhookId && isDue(delivery))) !== undefined) {
+            await attemptDelivery(due);
+            saveDelivery(due);
+        }
+    } catch (error) {
+        console.error('Error sending webhooks:', error);
+    } finally {
+        activeWebhooks.delete(webhookId);
+    }
+}
+
+// Send every delivery that is due. Endpoints are served side by side, so one that
+// is slow or down does not hold up the others.
+function processDueDeliveries() {
+    const webhookIds = new Set(loadDeliveries().filter(isDue).map(delivery => delivery.webhookId));
+    webhookIds.forEach(webhookId => {
+        if (!activeWebhooks.has(webhookId)) {
+            sendDueDeliveries(webhookId);
+        }
+    });
+}
+
+// Queue a webhook event for every enabled endpoint that subscribed to it
+function dispatchEvent(event, data) {
+    const targets = loadWebhooks().filter(webhook => webhook.enabled && webhook.events.includes(event));
+    targets.forEach(webhook => queueDelivery(webhook, event, data));
+    if (targets.length > 0) {
+        processDueDeliveries();
+    }
+}
+
+// Send a test event to one endpoint, whether or not it subscribed to it
+function sendTestEvent(id) {
+    const webhook = getWebhook(id);
+    if (!webhook) {
+        return null;
+    }
+    const delivery = queueDelivery(webhook, 'webhook.test', { webhookId: webhook.id, message: 'This is a test event' });
+    processDueDeliveries();
+    return delivery;
+}
+
+// Send a failed delivery again, as a fresh series of attempts
+function retryDelivery(id) {
+    const delivery = loadDeliveries().find(other => other.id === id);
+    if (!delivery) {
+        return null;
+    }
+    if (delivery.status !== 'failed') {
+        throw new Error(`Only failed deliveries can be retried, this one is ${delivery.status}`);
+    }
+    if (!getWebhook(delivery.webhookId)) {
+        throw new Error('The webhook of this delivery was deleted');
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    saveDelivery(delivery);
+    processDueDeliveries();
+    return delivery;
+}
+
+// Delivery log with the newest first, optionally of one endpoint or status
+function listDeliveries({ webhookId = null, status = null, limit = 200 } = {}) {
+    return loadDeliveries()
+        .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+        .slice(-limit)
+        .reverse();
+}
+
+// Start listening for events, and sending deliveries left pending by a restart
+function startWebhooks() {
+    if (retryTimer) return;
+
+    const webhookEvents = {};
+    Object.keys(EVENTS).forEach(event => {
+        webhookEvents[EVENTS[event]] = event;
+    });
+    onEvent(event => {
+        if (webhookEvents[event.type]) {
+            try {
+                dispatchEvent(webhookEvents[event.type], { ...event.data, at: event.at });
+            } catch (error) {
+                console.error('Error queueing webhooks:', error);
+            }
+        }
+    });
+
+    retryTimer = setInterval(processDueDeliveries, 5 * 1000);
+    retryTimer.unref();
+    processDueDeliveries();
+}
+
+module.exports = {
+    EVENTS,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    sendTestEvent,
+    retryDelivery,
+    listDeliveries,
+    startWebhooks
+};
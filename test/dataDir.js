@@ -0,0 +1,12 @@
+// Points the stores at a temporary data directory, require it before any lib module
+// that keeps files under data/
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wamt-test-'));
+process.env.DATA_DIR = dataDir;
+process.on('exit', () => fs.removeSync(dataDir));
+
+module.exports = { dataDir };
@@ -0,0 +1,32 @@
+const { dataDir } = require('./dataDir');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+
+const messagesFile = path.join(dataDir, 'direct-messages.json');
+
+function storedMessage(id, status, createdAt = new Date().toISOString()) {
+    return { id, status, error: null, createdAt };
+}
+
+// Written before the module is loaded, as the messages of a server that stopped
+fs.writeJsonSync(messagesFile, {
+    queued: storedMessage('queued', 'queued'),
+    sent: storedMessage('sent', 'sent'),
+    old: storedMessage('old', 'queued', '2000-01-01T00:00:00.000Z')
+});
+
+const { getDirectMessage } = require('../lib/directMessages');
+
+test('a restart marks queued messages interrupted', () => {
+    const message = getDirectMessage('queued');
+    assert.strictEqual(message.status, 'interrupted');
+    assert.match(message.error, /may not have been delivered/);
+    assert.strictEqual(getDirectMessage('sent').status, 'sent');
+    assert.strictEqual(fs.readJsonSync(messagesFile).queued.status, 'interrupted');
+});
+
+test('messages past the retention period are dropped', () => {
+    assert.strictEqual(getDirectMessage('old'), null);
+});
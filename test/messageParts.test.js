@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { downloadMedia, prepareParts } = require('../lib/messageParts');
+
+const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wamt-downloads-'));
+process.on('exit', () => fs.removeSync(downloadDir));
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/image.png') {
+            res.setHeader('Content-Type', 'image/png');
+            res.end(Buffer.alloc(100));
+        } else if (req.url === '/large-declared') {
+            res.setHeader('Content-Length', '5000');
+            res.end(Buffer.alloc(5000));
+        } else if (req.url === '/large-streamed') {
+            // Chunked, without a Content-Length
+            res.write(Buffer.alloc(800));
+            res.end(Buffer.alloc(800));
+        } else if (req.url === '/redirect') {
+            res.statusCode = 302;
+            res.setHeader('Location', '/image.png');
+            res.end();
+        } else {
+            res.statusCode = 404;
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('media URLs on local or private hosts are refused', async () => {
+    await assert.rejects(downloadMedia(`${baseUrl}/image.png`, downloadDir), /local or private address/);
+    await assert.rejects(downloadMedia('http://localhost/image.png', downloadDir), /local or private address/);
+    await assert.rejects(downloadMedia('http://169.254.169.254/latest/meta-data/', downloadDir), /local or private address/);
+    await assert.rejects(downloadMedia('http://[::1]/image.png', downloadDir), /local or private address/);
+    await assert.rejects(downloadMedia('file:///etc/passwd', downloadDir), /only http and https/);
+
+    await assert.rejects(prepareParts([{ type: 'media', url: `${baseUrl}/image.png` }], [], downloadDir),
+        /Part 1: could not download .* \(127\.0\.0\.1 is a local or private address\)/);
+    assert.deepStrictEqual(fs.readdirSync(downloadDir), []);
+});
+
+test('media URLs are downloaded with their type', async () => {
+    const media = await downloadMedia(`${baseUrl}/redirect`, downloadDir, { allowPrivateHosts: true });
+    assert.strictEqual(media.mimetype, 'image/png');
+    assert.strictEqual(media.filename, 'redirect');
+    assert.strictEqual(fs.statSync(media.path).size, 100);
+    fs.removeSync(media.path);
+});
+
+test('files over the size limit are refused', async () => {
+    const options = { maxBytes: 1000, allowPrivateHosts: true };
+    await assert.rejects(downloadMedia(`${baseUrl}/large-declared`, downloadDir, options), /larger than 1000 bytes/);
+    await assert.rejects(downloadMedia(`${baseUrl}/large-streamed`, downloadDir, options), /larger than 1000 bytes/);
+    assert.deepStrictEqual(fs.readdirSync(downloadDir), []);
+});
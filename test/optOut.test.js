@@ -0,0 +1,32 @@
+const { dataDir } = require('./dataDir');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+
+// An entry of an older version that stored a number that did not normalize by its digits
+fs.writeJsonSync(path.join(dataDir, 'opt-outs.json'), [
+    { phoneNumber: '12345', reason: '', source: 'manual', createdAt: '2025-01-01T00:00:00.000Z' }
+]);
+
+const { addOptOut, isOptedOut, removeOptOut } = require('../lib/optOut');
+
+test('numbers without a country code get the one given', () => {
+    assert.strictEqual(addOptOut('98765 43210', { defaultCountryCode: '91' }).phoneNumber, '919876543210');
+    assert.strictEqual(addOptOut('912 34 567', { defaultCountryCode: '47' }).phoneNumber, '4791234567');
+    assert.strictEqual(isOptedOut('4791234567@c.us'), true);
+    assert.strictEqual(isOptedOut('919876543210'), true);
+});
+
+test('numbers that do not normalize are not added', () => {
+    assert.strictEqual(addOptOut('98765 43210', { defaultCountryCode: '' }), null);
+    assert.strictEqual(addOptOut('call me', { defaultCountryCode: '91' }), null);
+    assert.strictEqual(addOptOut('+123', { defaultCountryCode: '91' }), null);
+});
+
+test('numbers are removed as stored or as typed', () => {
+    assert.strictEqual(removeOptOut('4791234567'), true);
+    assert.strictEqual(removeOptOut('+91 98765-43210'), true);
+    assert.strictEqual(removeOptOut('12345'), true);
+    assert.strictEqual(removeOptOut('12345'), false);
+});
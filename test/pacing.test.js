@@ -0,0 +1,97 @@
+require('./dataDir');
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordSend } = require('../lib/sessions');
+const { PRESETS, createPacing, describePacing, createLane, getPacingWait, recordPacedSend } = require('../lib/pacing');
+
+test('createPacing uses the standard preset by default', () => {
+    assert.deepStrictEqual(createPacing(), { preset: 'standard', ...PRESETS.standard });
+    assert.deepStrictEqual(createPacing({ preset: 'careful' }), { preset: 'careful', ...PRESETS.careful });
+});
+
+test('fields override the preset and make it custom', () => {
+    const pacing = createPacing({ preset: 'fast', minDelaySeconds: '5', hourlyCap: '0' });
+    assert.strictEqual(pacing.preset, 'custom');
+    assert.strictEqual(pacing.minDelaySeconds, 5);
+    assert.strictEqual(pacing.hourlyCap, null);
+    assert.strictEqual(pacing.maxDelaySeconds, PRESETS.fast.maxDelaySeconds);
+
+    // The same value as the preset keeps the preset name
+    assert.strictEqual(createPacing({ preset: 'fast', minDelaySeconds: 3 }).preset, 'fast');
+});
+
+test('delaySeconds of older clients still works', () => {
+    const pacing = createPacing({ delaySeconds: 10 });
+    assert.strictEqual(pacing.preset, 'custom');
+    assert.strictEqual(pacing.minDelaySeconds, 3);
+    assert.strictEqual(pacing.maxDelaySeconds, 10);
+    assert.strictEqual(pacing.hourlyCap, null);
+});
+
+test('createPacing rejects invalid input', () => {
+    assert.throws(() => createPacing({ preset: 'turbo' }), /Unknown pacing preset/);
+    assert.throws(() => createPacing({ minDelaySeconds: -1 }), /zero or more/);
+    assert.throws(() => createPacing({ minDelaySeconds: 30, maxDelaySeconds: 10 }), /maxDelaySeconds/);
+});
+
+test('describePacing summarizes the policy', () => {
+    assert.strictEqual(describePacing(createPacing()), '8-25 s between messages, 5 min rest after every 40, max 150 per hour, 800 per day');
+    assert.strictEqual(describePacing(createPacing({ preset: 'fast' })), '3-10 s between messages, 2 min rest after every 100, max 400 per hour');
+});
+
+test('recordPacedSend waits between messages and rests after a batch', () => {
+    const pacing = createPacing({ minDelaySeconds: 10, maxDelaySeconds: 20, batchSize: 2, batchRestSeconds: 300 });
+    const lane = createLane();
+    const now = 1000000;
+
+    recordPacedSend(pacing, lane, { status: 'sent' }, now);
+    assert.strictEqual(lane.waitReason, 'delay');
+    assert.ok(lane.nextAllowedAt - now >= 10000 && lane.nextAllowedAt - now <= 20000);
+    assert.deepStrictEqual(getPacingWait(pacing, lane, 'default', now + 1000).reason, 'delay');
+
+    recordPacedSend(pacing, lane, { status: 'sent' }, now);
+    assert.strictEqual(lane.waitReason, 'batch_rest');
+    assert.strictEqual(lane.nextAllowedAt - now, 300000);
+});
+
+test('rate limit errors back off and successes recover', () => {
+    const pacing = createPacing({ minDelaySeconds: 10, maxDelaySeconds: 10, batchSize: 0, batchRestSeconds: 0 });
+    const lane = createLane();
+
+    recordPacedSend(pacing, lane, { status: 'error', error: 'Too many requests' }, 0);
+    assert.strictEqual(lane.backoffLevel, 1);
+    assert.strictEqual(lane.waitReason, 'backoff');
+    assert.strictEqual(lane.nextAllowedAt, 120000);
+
+    for (let i = 0; i < 20; i++) {
+        recordPacedSend(pacing, lane, { status: 'sent' }, 0);
+    }
+    assert.strictEqual(lane.backoffLevel, 0);
+    assert.strictEqual(lane.nextAllowedAt, 10000);
+});
+
+test('getPacingWait enforces the hourly and daily caps', () => {
+    const lane = createLane();
+    recordSend('capped');
+    recordSend('capped');
+
+    assert.strictEqual(getPacingWait(createPacing({ hourlyCap: 3, dailyCap: 0 }), lane, 'capped').waitMs, 0);
+    assert.strictEqual(getPacingWait(createPacing({ hourlyCap: 2, dailyCap: 0 }), lane, 'capped').reason, 'hourly_cap');
+    assert.strictEqual(getPacingWait(createPacing({ hourlyCap: 0, dailyCap: 2 }), lane, 'capped').reason, 'daily_cap');
+});
+
+test('delays below the minimum are rejected', () => {
+    assert.throws(() => createPacing({ minDelaySeconds: 0 }), /at least 2 seconds/);
+    assert.throws(() => createPacing({ preset: 'custom', minDelaySeconds: 1, maxDelaySeconds: 1 }), /at least 2 seconds/);
+    assert.strictEqual(createPacing({ minDelaySeconds: 2 }).minDelaySeconds, 2);
+
+    // The delaySeconds of older clients and campaigns is raised to the minimum
+    const legacy = createPacing({ delaySeconds: 1 });
+    assert.strictEqual(legacy.minDelaySeconds, 2);
+    assert.strictEqual(legacy.maxDelaySeconds, 2);
+});
+
+test('fields left empty keep the preset value', () => {
+    assert.deepStrictEqual(createPacing({ preset: 'careful', minDelaySeconds: '', batchRestSeconds: '' }),
+        { preset: 'careful', ...PRESETS.careful });
+});
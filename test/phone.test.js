@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePhoneNumber } = require('../lib/phone');
+
+const india = { defaultCountryCode: '91' };
+
+test('international numbers keep their country code', () => {
+    assert.strictEqual(normalizePhoneNumber('+91 98765-43210', india).phoneNumber, '919876543210');
+    assert.strictEqual(normalizePhoneNumber('0047 912 34 567', india).phoneNumber, '4791234567');
+    assert.strictEqual(normalizePhoneNumber('+1 (415) 555-0100').e164, '+14155550100');
+});
+
+test('national numbers get the default country code', () => {
+    assert.strictEqual(normalizePhoneNumber('98765 43210', india).phoneNumber, '919876543210');
+    assert.strictEqual(normalizePhoneNumber('098765 43210', india).phoneNumber, '919876543210');
+    assert.strictEqual(normalizePhoneNumber(9876543210, india).phoneNumber, '919876543210');
+});
+
+test('longer numbers are read as starting with a country code', () => {
+    assert.strictEqual(normalizePhoneNumber('4915123456789', india).phoneNumber, '4915123456789');
+});
+
+test('WhatsApp IDs are international', () => {
+    assert.strictEqual(normalizePhoneNumber('4791234567@c.us', india).phoneNumber, '4791234567');
+});
+
+test('international: true never adds the default country code', () => {
+    assert.strictEqual(normalizePhoneNumber('4791234567', { ...india, international: true }).phoneNumber, '4791234567');
+    assert.strictEqual(normalizePhoneNumber('09876543210', { ...india, international: true }).reason, 'invalid_country_code');
+});
+
+test('invalid numbers are rejected with a reason', () => {
+    const cases = [
+        ['', india, 'empty'],
+        [null, india, 'empty'],
+        ['98765abc', india, 'invalid_characters'],
+        ['9876543210', { defaultCountryCode: '' }, 'missing_country_code'],
+        ['+12345', india, 'too_short'],
+        ['+1234567890123456', india, 'too_long'],
+        ['+0123456789', india, 'invalid_country_code']
+    ];
+    cases.forEach(([input, options, reason]) => {
+        const result = normalizePhoneNumber(input, options);
+        assert.strictEqual(result.valid, false, String(input));
+        assert.strictEqual(result.reason, reason, String(input));
+        assert.ok(result.message);
+    });
+});
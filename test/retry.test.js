@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRetryPolicy, classifyFailure, retryDelayMs } = require('../lib/retry');
+
+test('createRetryPolicy uses defaults and validates input', () => {
+    assert.deepStrictEqual(createRetryPolicy(), { maxRetries: 2, retryDelaySeconds: 30 });
+    assert.deepStrictEqual(createRetryPolicy({ maxRetries: '0', retryDelaySeconds: '5' }), { maxRetries: 0, retryDelaySeconds: 5 });
+    assert.throws(() => createRetryPolicy({ maxRetries: 11 }), /maxRetries/);
+    assert.throws(() => createRetryPolicy({ maxRetries: 1.5 }), /maxRetries/);
+    assert.throws(() => createRetryPolicy({ retryDelaySeconds: 0 }), /retryDelaySeconds/);
+});
+
+test('classifyFailure tells transient from permanent failures', () => {
+    assert.strictEqual(classifyFailure({ status: 'sent' }), null);
+    assert.strictEqual(classifyFailure({ status: 'not_registered' }), 'permanent');
+    assert.strictEqual(classifyFailure({ status: 'error', error: 'WhatsApp client is not ready' }), 'transient');
+    assert.strictEqual(classifyFailure({ status: 'error', error: 'Protocol error (Runtime.callFunctionOn): Target closed.' }), 'transient');
+    assert.strictEqual(classifyFailure({ status: 'error', error: 'Navigation timeout of 30000 ms exceeded' }), 'transient');
+    assert.strictEqual(classifyFailure({ status: 'error', error: 'Evaluation failed: invalid wid' }), 'permanent');
+    assert.strictEqual(classifyFailure({ status: 'error', error: 'Sent 1 of 3 parts: timed out' }), 'permanent');
+});
+
+test('retryDelayMs doubles up to an hour', () => {
+    const policy = { maxRetries: 10, retryDelaySeconds: 30 };
+    assert.strictEqual(retryDelayMs(policy, 1), 30000);
+    assert.strictEqual(retryDelayMs(policy, 2), 60000);
+    assert.strictEqual(retryDelayMs(policy, 3), 120000);
+    assert.strictEqual(retryDelayMs(policy, 10), 60 * 60 * 1000);
+});
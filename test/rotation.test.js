@@ -0,0 +1,54 @@
+require('./dataDir');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSessions, addSession, getSession } = require('../lib/sessions');
+const { createRotation, pickNextSession, recordOutcome, resetExclusions } = require('../lib/rotation');
+
+loadSessions();
+const second = addSession('Second');
+getSession('default').isReady = true;
+second.isReady = true;
+
+const noWait = () => ({ waitMs: 0, reason: null });
+
+test('pickNextSession takes the accounts in turn', () => {
+    const rotation = createRotation({ sessionIds: ['default', second.id] });
+    const picked = [1, 2, 3].map(() => pickNextSession(rotation, noWait).sessionId);
+    assert.deepStrictEqual(picked, ['default', second.id, 'default']);
+});
+
+test('pickNextSession skips accounts that have to wait', () => {
+    const rotation = createRotation({ sessionIds: ['default', second.id] });
+    const waits = { default: { waitMs: 5000, reason: 'delay' }, [second.id]: { waitMs: 0, reason: null } };
+    assert.deepStrictEqual(pickNextSession(rotation, id => waits[id]), { sessionId: second.id });
+
+    waits[second.id] = { waitMs: 9000, reason: 'hourly_cap' };
+    assert.deepStrictEqual(pickNextSession(rotation, id => waits[id]), { reason: 'delay', waitMs: 5000 });
+});
+
+test('pickNextSession reports accounts that are not connected', () => {
+    second.isReady = false;
+    try {
+        const rotation = createRotation({ sessionIds: [second.id] });
+        assert.deepStrictEqual(pickNextSession(rotation, noWait), { reason: 'not_ready' });
+    } finally {
+        second.isReady = true;
+    }
+});
+
+test('an account leaves the rotation after repeated errors', () => {
+    const rotation = createRotation({ sessionIds: ['default', second.id] });
+    recordOutcome(rotation, 'default', { status: 'error', error: 'boom' });
+    recordOutcome(rotation, 'default', { status: 'sent' });
+    assert.strictEqual(rotation.failures.default, 0);
+
+    [1, 2, 3].forEach(() => recordOutcome(rotation, 'default', { status: 'error', error: 'boom' }));
+    assert.match(rotation.excluded.default, /3 errors in a row, last: boom/);
+    assert.deepStrictEqual(pickNextSession(rotation, noWait), { sessionId: second.id });
+
+    [1, 2, 3].forEach(() => recordOutcome(rotation, second.id, { status: 'error' }));
+    assert.deepStrictEqual(pickNextSession(rotation, noWait), { reason: 'exhausted' });
+
+    resetExclusions(rotation);
+    assert.ok(pickNextSession(rotation, noWait).sessionId);
+});
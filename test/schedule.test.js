@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSendWindow, isWithinWindow, msUntilWindowOpens, getLocalWeekday } = require('../lib/schedule');
+
+test('createSendWindow validates input', () => {
+    assert.strictEqual(createSendWindow({}), null);
+    assert.deepStrictEqual(createSendWindow({ start: '09:00', end: '20:00', timeZone: 'Asia/Kolkata' }),
+        { start: '09:00', end: '20:00', timeZone: 'Asia/Kolkata' });
+    assert.throws(() => createSendWindow({ start: '09:00' }), /start and an end/);
+    assert.throws(() => createSendWindow({ start: '9am', end: '20:00' }), /Invalid time/);
+    assert.throws(() => createSendWindow({ start: '09:00', end: '09:00' }), /must differ/);
+    assert.throws(() => createSendWindow({ start: '09:00', end: '20:00', timeZone: 'Mars/Base' }), /Unknown time zone/);
+});
+
+test('isWithinWindow checks the local time of the window', () => {
+    const window = { start: '09:00', end: '20:00', timeZone: 'UTC' };
+    assert.strictEqual(isWithinWindow(null), true);
+    assert.strictEqual(isWithinWindow(window, new Date('2025-03-10T08:59:00Z')), false);
+    assert.strictEqual(isWithinWindow(window, new Date('2025-03-10T09:00:00Z')), true);
+    assert.strictEqual(isWithinWindow(window, new Date('2025-03-10T20:00:00Z')), false);
+
+    // 09:00-20:00 in India is 03:30-14:30 UTC
+    const india = { start: '09:00', end: '20:00', timeZone: 'Asia/Kolkata' };
+    assert.strictEqual(isWithinWindow(india, new Date('2025-03-10T03:00:00Z')), false);
+    assert.strictEqual(isWithinWindow(india, new Date('2025-03-10T04:00:00Z')), true);
+});
+
+test('windows may cross midnight', () => {
+    const night = { start: '22:00', end: '06:00', timeZone: 'UTC' };
+    assert.strictEqual(isWithinWindow(night, new Date('2025-03-10T23:00:00Z')), true);
+    assert.strictEqual(isWithinWindow(night, new Date('2025-03-10T05:59:00Z')), true);
+    assert.strictEqual(isWithinWindow(night, new Date('2025-03-10T12:00:00Z')), false);
+});
+
+test('msUntilWindowOpens counts to the next start', () => {
+    const window = { start: '09:00', end: '20:00', timeZone: 'UTC' };
+    assert.strictEqual(msUntilWindowOpens(window, new Date('2025-03-10T10:00:00Z')), 0);
+    assert.strictEqual(msUntilWindowOpens(window, new Date('2025-03-10T08:00:00Z')), 60 * 60 * 1000);
+    assert.strictEqual(msUntilWindowOpens(window, new Date('2025-03-10T21:00:00Z')), 12 * 60 * 60 * 1000);
+});
+
+test('getLocalWeekday uses the time zone', () => {
+    // Monday 23:00 UTC is already Tuesday in India
+    assert.strictEqual(getLocalWeekday(new Date('2025-03-10T23:00:00Z'), 'UTC'), 1);
+    assert.strictEqual(getLocalWeekday(new Date('2025-03-10T23:00:00Z'), 'Asia/Kolkata'), 2);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasSpintax, spin, createVariation, pickBody } = require('../lib/spintax');
+
+test('hasSpintax ignores placeholders', () => {
+    assert.strictEqual(hasSpintax('{Hi|Hello} there'), true);
+    assert.strictEqual(hasSpintax('Hi {{Name|friend}}'), false);
+    assert.strictEqual(hasSpintax('Plain {text}'), false);
+});
+
+test('spin picks one option of every group', () => {
+    assert.strictEqual(spin('{Hi|Hello|Hey} there', () => 0), 'Hi there');
+    assert.strictEqual(spin('{Hi|Hello|Hey} there', () => 0.99), 'Hey there');
+    for (let i = 0; i < 20; i++) {
+        assert.ok(['Hi there', 'Hello there', 'Hey there'].includes(spin('{Hi|Hello|Hey} there')));
+    }
+});
+
+test('spin handles nested groups and leaves placeholders alone', () => {
+    assert.strictEqual(spin('{Good {morning|day}|Hi} {{Name|friend}}', () => 0), 'Good morning {{Name|friend}}');
+    assert.strictEqual(spin('{Good {morning|day}|Hi} {{Name}}', () => 0.6), 'Hi {{Name}}');
+});
+
+test('createVariation validates the alternative bodies', () => {
+    assert.strictEqual(createVariation({ bodies: undefined }), null);
+    assert.strictEqual(createVariation({ bodies: '' }), null);
+    assert.strictEqual(createVariation({ bodies: ['', '  '] }), null);
+    assert.deepStrictEqual(createVariation({ bodies: '["B","C"]', mode: 'round_robin' }),
+        { bodies: ['B', 'C'], mode: 'round_robin', nextIndex: 0 });
+    assert.throws(() => createVariation({ bodies: '[oops' }), /JSON array/);
+    assert.throws(() => createVariation({ bodies: new Array(21).fill('B') }), /At most 20/);
+    assert.throws(() => createVariation({ bodies: ['B'], mode: 'shuffle' }), /variationMode/);
+});
+
+test('pickBody takes turns in round-robin mode', () => {
+    assert.deepStrictEqual(pickBody('A', null), { index: 0, text: 'A' });
+
+    const variation = createVariation({ bodies: ['B', 'C'], mode: 'round_robin' });
+    const picked = [1, 2, 3, 4].map(() => pickBody('A', variation).text);
+    assert.deepStrictEqual(picked, ['A', 'B', 'C', 'A']);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractPlaceholders, findUnknownPlaceholders, findMissingValues, renderMessage } = require('../lib/template');
+
+test('extractPlaceholders lists each placeholder once', () => {
+    assert.deepStrictEqual(extractPlaceholders('Hi {{ Name }}, {{name}} from {{City|your town}}'), [
+        { name: 'Name', fallback: null },
+        { name: 'City', fallback: 'your town' }
+    ]);
+    assert.deepStrictEqual(extractPlaceholders('No placeholders'), []);
+});
+
+test('findUnknownPlaceholders compares with the columns ignoring case', () => {
+    assert.deepStrictEqual(findUnknownPlaceholders('{{name}} {{Order}}', ['Name', 'City']), ['Order']);
+});
+
+test('findMissingValues skips placeholders with a fallback', () => {
+    assert.deepStrictEqual(findMissingValues('{{Name}} {{City|there}}', { Name: ' ' }), ['Name']);
+    assert.deepStrictEqual(findMissingValues('{{Name}}', { name: 'Asha' }), []);
+});
+
+test('renderMessage fills values and fallbacks', () => {
+    assert.strictEqual(renderMessage('Hi {{name}}, see you in {{City|town}}', { Name: ' Asha ' }), 'Hi Asha, see you in town');
+    assert.strictEqual(renderMessage('Hi {{Name}}!', {}), 'Hi !');
+    assert.strictEqual(renderMessage('Total: {{Amount}}', { Amount: 42 }), 'Total: 42');
+});
@@ -0,0 +1,141 @@
+const { dataDir } = require('./dataDir');
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+
+const webhooksFile = path.join(dataDir, 'webhooks.json');
+const deliveriesFile = path.join(dataDir, 'webhook-deliveries.jsonl');
+const legacyDeliveriesFile = path.join(dataDir, 'webhook-deliveries.json');
+
+// The module keeps the log in memory, every test loads it again like a restart does
+function loadWebhooksModule() {
+    delete require.cache[require.resolve('../lib/webhooks')];
+    return require('../lib/webhooks');
+}
+
+function delivery(id, status, fields = {}) {
+    return {
+        id: id,
+        webhookId: 'hook',
+        event: 'webhook.test',
+        payload: { id: id, event: 'webhook.test', data: {} },
+        status: status,
+        attempts: status === 'pending' ? 0 : 1,
+        nextAttemptAt: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        ...fields
+    };
+}
+
+function writeLog(lines) {
+    fs.removeSync(legacyDeliveriesFile);
+    fs.writeFileSync(deliveriesFile, lines.join('\n') + '\n');
+}
+
+function readLog() {
+    return fs.readFileSync(deliveriesFile, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Log writes happen in the background, wait until the file shows what is expected
+function holds(condition) {
+    try {
+        return condition();
+    } catch (error) {
+        return false;
+    }
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const giveUpAt = Date.now() + timeoutMs;
+    while (!holds(condition)) {
+        if (Date.now() > giveUpAt) {
+            throw new Error('Timed out waiting for the delivery log');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('the last line of a delivery is its current state', async () => {
+    writeLog([
+        JSON.stringify(delivery('a', 'pending')),
+        JSON.stringify(delivery('b', 'delivered')),
+        JSON.stringify(delivery('a', 'failed', { lastError: 'HTTP 404' }))
+    ]);
+    const { listDeliveries } = loadWebhooksModule();
+
+    const deliveries = listDeliveries();
+    assert.deepStrictEqual(deliveries.map(entry => [entry.id, entry.status]), [['b', 'delivered'], ['a', 'failed']]);
+    assert.strictEqual(deliveries[1].lastError, 'HTTP 404');
+
+    // Loading rewrites the log with one line per delivery
+    await waitFor(() => readLog().length === 2);
+});
+
+test('a line cut short by a crash is skipped', async () => {
+    const line = JSON.stringify(delivery('a', 'delivered'));
+    writeLog([
+        JSON.stringify(delivery('a', 'pending')),
+        line.slice(0, line.length / 2)
+    ]);
+    const { listDeliveries } = loadWebhooksModule();
+
+    assert.deepStrictEqual(listDeliveries().map(entry => [entry.id, entry.status]), [['a', 'pending']]);
+    await waitFor(() => readLog().length === 1);
+});
+
+test('the delivery log of older versions is migrated', async () => {
+    fs.removeSync(deliveriesFile);
+    fs.writeJsonSync(legacyDeliveriesFile, [delivery('a', 'delivered'), delivery('b', 'failed')]);
+    const { listDeliveries } = loadWebhooksModule();
+
+    assert.deepStrictEqual(listDeliveries().map(entry => entry.id), ['b', 'a']);
+    await waitFor(() => !fs.existsSync(legacyDeliveriesFile));
+    assert.deepStrictEqual(readLog().map(entry => entry.id), ['a', 'b']);
+});
+
+test('the log is compacted once it has more than MAX_LOG_LINES lines', async () => {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.statusCode = 500;
+            res.end('try again later');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        fs.writeJsonSync(webhooksFile, [{
+            id: 'hook',
+            name: 'Test',
+            url: `http://127.0.0.1:${server.address().port}/`,
+            events: ['message.result'],
+            secret: 'secret',
+            enabled: true
+        }]);
+
+        // MAX_LOG_LINES deliveries with one line each, pending ones are never dropped from the log
+        const later = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const lines = [];
+        for (let i = 0; i < 10000; i++) {
+            lines.push(JSON.stringify(delivery(`pending-${i}`, 'pending', { nextAttemptAt: later })));
+        }
+        writeLog(lines);
+
+        const { sendTestEvent, listDeliveries } = loadWebhooksModule();
+        assert.strictEqual(listDeliveries({ limit: 20000 }).length, 10000);
+
+        // Queueing the test event appends a line past the limit and its failed attempt
+        // another, without compaction the log would have 10002 lines
+        const testDelivery = sendTestEvent('hook');
+        await waitFor(() => {
+            const log = readLog();
+            const last = log[log.length - 1];
+            return log.length === 10001 && last.id === testDelivery.id && last.lastError === 'HTTP 500';
+        });
+    } finally {
+        server.close();
+    }
+});